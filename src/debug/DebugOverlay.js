@@ -105,16 +105,25 @@ export class DebugOverlay {
 
     // Detailed mode: All metrics
     this.fpsText.text = `FPS: ${this.fps} | Frame: ${delta.toFixed(2)}ms`;
-    this.stateText.text = `Units: ${debugInfo.unitCount || 0} | Hexes: ${debugInfo.visibleHexes || 0}/${debugInfo.totalHexes || 0}`;
+    this.stateText.text = `Units: ${debugInfo.unitCount || 0} | Hexes: ${debugInfo.visibleHexes || 0}/${debugInfo.totalHexes || 0} | Chunks: ${debugInfo.visibleChunks || 0}/${debugInfo.totalChunks || 0}`;
     this.performanceText.text = `Draw Calls: ${debugInfo.drawCalls || 0} | Update: ${(debugInfo.updateTime || 0).toFixed(2)}ms`;
 
-    // System performance profiling
-    if (debugInfo.systemTimes) {
-      const renderTime = (debugInfo.systemTimes.render || 0).toFixed(2);
-      this.systemsText.text = `Systems: Render=${renderTime}ms`;
+    // System performance profiling: every registered system, three per line
+    const systemTimes = Object.entries(debugInfo.systemTimes || {});
+    if (systemTimes.length > 0) {
+      const entries = systemTimes.map(([name, time]) =>
+        `${name}=${time === null ? 'off' : `${time.toFixed(2)}ms`}`
+      );
+      const lines = [];
+      for (let i = 0; i < entries.length; i += 3) {
+        lines.push(entries.slice(i, i + 3).join(' '));
+      }
+      this.systemsText.text = `Systems: ${lines.join('\n  ')}`;
     } else {
       this.systemsText.text = 'Systems: N/A';
     }
+    // Entity list goes below however many lines the systems took
+    this.entitiesText.y = this.systemsText.y + this.systemsText.height + 4;
 
     // Entity component inspector (show first 3 entities)
     if (debugInfo.entities && debugInfo.entities.length > 0) {
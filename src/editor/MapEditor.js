@@ -0,0 +1,487 @@
+import { Hex } from '../engine/core/Hex.js';
+
+/**
+ * Editor tools
+ */
+export const EditorTool = {
+  BRUSH: 'brush',         // Paint terrain under the cursor (with brush radius)
+  FILL: 'fill',           // Flood-fill the connected region of the same terrain
+  RECTANGLE: 'rectangle', // Drag out a rectangle in offset coordinates
+  LINE: 'line',           // Drag out a straight line (with brush radius)
+  RAISE: 'raise',         // Raise elevation by one level under the brush (once per hex per stroke)
+  LOWER: 'lower',         // Lower elevation by one level under the brush (not below 0)
+  EDGE: 'edge',           // Drag along hex sides to add/remove an edge feature (river, wall, road)
+  VERTEX: 'vertex'        // Click hex corners to add/remove a vertex feature (tower)
+};
+
+/**
+ * MapEditor - Interactive terrain and feature painting with undo/redo
+ * Each pointer stroke is recorded as one history entry holding the
+ * before/after terrain of every hex it touched, or the features it
+ * added/removed on hex sides and corners
+ */
+export class MapEditor {
+  constructor(engine, config = {}) {
+    this.engine = engine;
+    this.active = false;
+
+    this.tool = EditorTool.BRUSH;
+    this.terrain = config.terrain || 'grass'; // Terrain id to paint
+    this.brushRadius = config.brushRadius || 0;
+    this.edgeFeature = config.edgeFeature || 'river'; // Edge feature id for the edge tool
+    this.vertexFeature = config.vertexFeature || 'tower'; // Vertex feature id for the vertex tool
+
+    this.undoStack = []; // Array of strokes
+    this.redoStack = [];
+    this.maxHistory = config.maxHistory || 100;
+
+    // {grid, changes: Map<key, change>, startHex, lastHex, featureMode}
+    // change is {q, r, before, after} for terrain, {kind: 'elevation', q, r, before, after}
+    // for elevation or {kind: 'edge'|'vertex', location, feature, added} for features
+    this.stroke = null;
+
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+
+    // History is only valid for the map it was recorded on
+    this.unbindGrid = null;
+    this.bindGrid(engine.hexGrid);
+    this.unsubscribers = [
+      engine.on('gridchange', ({ grid }) => this.bindGrid(grid)),
+      engine.on('staterestore', () => this.clearHistory())
+    ];
+  }
+
+  /**
+   * Follow a grid's terrain resets (regenerated map), dropping history recorded before
+   */
+  bindGrid(grid) {
+    if (this.unbindGrid) this.unbindGrid();
+    this.unbindGrid = grid ? grid.on('terrainreset', () => this.clearHistory()) : null;
+    this.clearHistory();
+  }
+
+  /**
+   * Enter editor mode - left drags paint instead of panning
+   */
+  enable() {
+    if (this.active) return;
+    this.active = true;
+
+    const canvas = this.engine.app.canvas;
+    canvas.addEventListener('pointerdown', this.onPointerDown);
+    canvas.addEventListener('pointermove', this.onPointerMove);
+    window.addEventListener('pointerup', this.onPointerUp);
+
+    this.engine.setPanEnabled(false);
+    console.log('Map editor: ON (middle-drag to pan)');
+  }
+
+  /**
+   * Leave editor mode
+   */
+  disable() {
+    if (!this.active) return;
+    this.active = false;
+
+    const canvas = this.engine.app.canvas;
+    canvas.removeEventListener('pointerdown', this.onPointerDown);
+    canvas.removeEventListener('pointermove', this.onPointerMove);
+    window.removeEventListener('pointerup', this.onPointerUp);
+
+    this.cancelStroke();
+    this.engine.setPanEnabled(true);
+    console.log('Map editor: OFF');
+  }
+
+  /**
+   * Toggle editor mode
+   */
+  toggle() {
+    if (this.active) {
+      this.disable();
+    } else {
+      this.enable();
+    }
+    return this.active;
+  }
+
+  setTool(tool) {
+    if (!Object.values(EditorTool).includes(tool)) {
+      throw new Error(`Unknown editor tool: ${tool}`);
+    }
+    this.tool = tool;
+  }
+
+  setTerrain(terrainId) {
+    this.terrain = terrainId;
+  }
+
+  setEdgeFeature(featureId) {
+    this.edgeFeature = featureId;
+  }
+
+  setVertexFeature(featureId) {
+    this.vertexFeature = featureId;
+  }
+
+  setBrushRadius(radius) {
+    this.brushRadius = Math.max(0, Math.floor(radius));
+  }
+
+  // ============================================
+  // Pointer handling
+  // ============================================
+
+  onPointerDown(e) {
+    // One stroke at a time: extra fingers/pens must not replace the stroke in progress
+    if (e.button !== 0 || !e.isPrimary) return;
+
+    const hex = this.engine.screenToHex(e.clientX, e.clientY);
+    this.stroke = {
+      grid: this.engine.hexGrid,
+      changes: new Map(),
+      startHex: hex,
+      lastHex: hex,
+      featureMode: null // 'add' or 'remove', decided by the first feature touched
+    };
+
+    switch (this.tool) {
+      case EditorTool.EDGE:
+        this.stroke.lastEdgeKey = null;
+        this.paintEdge(e);
+        break;
+
+      case EditorTool.VERTEX:
+        this.paintVertex(e);
+        this.commitStroke();
+        break;
+
+      case EditorTool.BRUSH:
+        this.paint(this.getBrushHexes(hex));
+        break;
+
+      case EditorTool.RAISE:
+      case EditorTool.LOWER:
+        this.paintElevation(this.getBrushHexes(hex));
+        break;
+
+      case EditorTool.FILL:
+        this.paint(this.getFillHexes(hex));
+        this.commitStroke();
+        break;
+
+      default:
+        this.updatePreview(hex);
+    }
+  }
+
+  onPointerMove(e) {
+    if (!this.stroke || !e.isPrimary) return;
+
+    if (this.tool === EditorTool.EDGE) {
+      this.paintEdge(e);
+      return;
+    }
+
+    const hex = this.engine.screenToHex(e.clientX, e.clientY);
+    if (hex.equals(this.stroke.lastHex)) return;
+
+    if (this.tool === EditorTool.BRUSH) {
+      // Interpolate so fast drags don't leave gaps
+      const hexes = this.stroke.lastHex.lineTo(hex).flatMap(h => this.getBrushHexes(h));
+      this.paint(hexes);
+    } else if (this.tool === EditorTool.RAISE || this.tool === EditorTool.LOWER) {
+      const hexes = this.stroke.lastHex.lineTo(hex).flatMap(h => this.getBrushHexes(h));
+      this.paintElevation(hexes);
+    } else {
+      this.updatePreview(hex);
+    }
+
+    this.stroke.lastHex = hex;
+  }
+
+  onPointerUp(e) {
+    if (!this.stroke || !e.isPrimary) return;
+
+    if (this.tool === EditorTool.RECTANGLE || this.tool === EditorTool.LINE) {
+      this.paint(this.getShapeHexes(this.stroke.startHex, this.stroke.lastHex));
+    }
+
+    this.commitStroke();
+  }
+
+  // ============================================
+  // Tool geometry
+  // ============================================
+
+  /**
+   * Hexes covered by the brush centered on a hex
+   */
+  getBrushHexes(center) {
+    return center.range(this.brushRadius);
+  }
+
+  /**
+   * Connected hexes sharing the start hex's terrain
+   */
+  getFillHexes(start) {
+    const grid = this.engine.hexGrid;
+    const startData = grid.getHex(start.q, start.r);
+    if (!startData) return [];
+
+    const target = startData.terrain;
+    const visited = new Set([start.key()]);
+    const queue = [start];
+    const result = [];
+
+    while (queue.length > 0) {
+      const hex = queue.shift();
+      result.push(hex);
+
+      hex.neighbors().forEach(next => {
+        const key = next.key();
+        if (visited.has(key)) return;
+        visited.add(key);
+
+        const data = grid.getHex(next.q, next.r);
+        if (data && data.terrain === target) {
+          queue.push(next);
+        }
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Hexes for the rectangle/line tools between two corner hexes
+   */
+  getShapeHexes(from, to) {
+    if (this.tool === EditorTool.LINE) {
+      return from.lineTo(to).flatMap(h => this.getBrushHexes(h));
+    }
+
+    // Rectangle in the grid's offset coordinates so it looks rectangular on screen
+    const offsetType = this.engine.hexGrid.getOffsetType();
+    const a = from.toOffset(offsetType);
+    const b = to.toOffset(offsetType);
+    const hexes = [];
+
+    for (let col = Math.min(a.col, b.col); col <= Math.max(a.col, b.col); col++) {
+      for (let row = Math.min(a.row, b.row); row <= Math.max(a.row, b.row); row++) {
+        hexes.push(Hex.fromOffset(col, row, offsetType));
+      }
+    }
+
+    return hexes;
+  }
+
+  updatePreview(hex) {
+    const hexes = this.getShapeHexes(this.stroke.startHex, hex);
+    this.engine.highlightLayer.setHighlight('editor-preview', hexes, { color: 0xFFFFFF, alpha: 0.25 });
+  }
+
+  // ============================================
+  // Edits and history
+  // ============================================
+
+  /**
+   * Paint the current terrain onto hexes, recording changes in the active stroke
+   * The grid redraws only the touched chunks on its next update
+   */
+  paint(hexes) {
+    const grid = this.stroke.grid;
+
+    hexes.forEach(hex => {
+      const data = grid.getHex(hex.q, hex.r);
+      if (!data || data.terrain.id === this.terrain) return;
+
+      const before = grid.setTerrain(hex.q, hex.r, this.terrain).id;
+      const key = hex.key();
+
+      // Keep the original "before" if the stroke touches a hex twice
+      const existing = this.stroke.changes.get(key);
+      this.stroke.changes.set(key, {
+        q: hex.q,
+        r: hex.r,
+        before: existing ? existing.before : before,
+        after: this.terrain
+      });
+    });
+  }
+
+  /**
+   * Raise or lower hexes by one level, recording changes in the active stroke
+   * Each hex changes at most once per stroke so dragging back and forth doesn't pile up
+   */
+  paintElevation(hexes) {
+    const grid = this.stroke.grid;
+    const delta = this.tool === EditorTool.RAISE ? 1 : -1;
+
+    hexes.forEach(hex => {
+      const key = `elevation:${hex.key()}`;
+      const data = grid.getHex(hex.q, hex.r);
+      if (!data || this.stroke.changes.has(key)) return;
+
+      const after = Math.max(0, data.elevation + delta);
+      if (after === data.elevation) return;
+
+      const before = grid.setElevation(hex.q, hex.r, after);
+      this.stroke.changes.set(key, { kind: 'elevation', q: hex.q, r: hex.r, before, after });
+    });
+  }
+
+  /**
+   * Add or remove the current edge feature on the side under the pointer
+   * The first side touched decides: toggling off a present feature makes the
+   * whole drag remove it
+   */
+  paintEdge(e) {
+    const world = this.engine.screenToWorld(e.clientX, e.clientY);
+    const edge = this.stroke.grid.pixelToEdge(world.x, world.y);
+    if (edge.key() === this.stroke.lastEdgeKey) return;
+    this.stroke.lastEdgeKey = edge.key();
+
+    this.toggleFeature('edge', edge, this.edgeFeature);
+  }
+
+  /**
+   * Toggle the current vertex feature on the corner under the pointer
+   */
+  paintVertex(e) {
+    const world = this.engine.screenToWorld(e.clientX, e.clientY);
+    const vertex = this.stroke.grid.pixelToVertex(world.x, world.y);
+
+    this.toggleFeature('vertex', vertex, this.vertexFeature);
+  }
+
+  /**
+   * Add/remove a feature according to the stroke's mode, recording the change
+   * @param {string} kind - 'edge' or 'vertex'
+   */
+  toggleFeature(kind, location, featureId) {
+    const grid = this.stroke.grid;
+    const onGrid = location.hexes().some(hex => grid.getHex(hex.q, hex.r));
+    if (!onGrid) return;
+
+    const present = kind === 'edge'
+      ? grid.hasEdgeFeature(location, featureId)
+      : grid.hasVertexFeature(location, featureId);
+
+    if (this.stroke.featureMode === null) {
+      this.stroke.featureMode = present ? 'remove' : 'add';
+    }
+    const added = this.stroke.featureMode === 'add';
+    if (present === added) return;
+
+    this.applyFeature(grid, kind, location, featureId, added);
+
+    this.stroke.changes.set(`${kind}:${location.key()}`, { kind, location, feature: featureId, added });
+  }
+
+  applyFeature(grid, kind, location, featureId, added) {
+    if (kind === 'edge') {
+      if (added) grid.addEdgeFeature(location, featureId);
+      else grid.removeEdgeFeature(location, featureId);
+    } else {
+      if (added) grid.addVertexFeature(location, featureId);
+      else grid.removeVertexFeature(location, featureId);
+    }
+  }
+
+  /**
+   * Finish the active stroke and push it onto the undo stack
+   */
+  commitStroke() {
+    const stroke = this.stroke;
+    this.stroke = null;
+    this.engine.highlightLayer.clearHighlight('editor-preview');
+
+    if (!stroke || stroke.changes.size === 0) return;
+
+    this.undoStack.push({ grid: stroke.grid, changes: Array.from(stroke.changes.values()) });
+    if (this.undoStack.length > this.maxHistory) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+  }
+
+  /**
+   * End an in-progress stroke: painted brush changes are kept,
+   * rectangle/line previews are dropped
+   */
+  cancelStroke() {
+    if (this.stroke && this.stroke.changes.size > 0) {
+      this.commitStroke();
+      return;
+    }
+    this.stroke = null;
+    this.engine.highlightLayer.clearHighlight('editor-preview');
+  }
+
+  /**
+   * Undo the last stroke
+   * @returns {boolean} true if something was undone
+   */
+  undo() {
+    return this.applyHistory(this.undoStack, this.redoStack, 'before');
+  }
+
+  /**
+   * Redo the last undone stroke
+   * @returns {boolean} true if something was redone
+   */
+  redo() {
+    return this.applyHistory(this.redoStack, this.undoStack, 'after');
+  }
+
+  applyHistory(from, to, field) {
+    // History belongs to a specific grid; drop it if the grid was replaced
+    if (from.length > 0 && from[from.length - 1].grid !== this.engine.hexGrid) {
+      this.clearHistory();
+      return false;
+    }
+
+    const entry = from.pop();
+    if (!entry) return false;
+
+    entry.changes.forEach(change => {
+      switch (change.kind) {
+        case 'elevation':
+          entry.grid.setElevation(change.q, change.r, change[field]);
+          break;
+
+        case 'edge':
+        case 'vertex': {
+          // Undo applies the opposite of what the stroke did
+          const added = field === 'after' ? change.added : !change.added;
+          this.applyFeature(entry.grid, change.kind, change.location, change.feature, added);
+          break;
+        }
+
+        default:
+          entry.grid.setTerrain(change.q, change.r, change[field]);
+      }
+    });
+
+    to.push(entry);
+    return true;
+  }
+
+  clearHistory() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Detach listeners
+   */
+  destroy() {
+    this.disable();
+    this.clearHistory();
+    if (this.unbindGrid) this.unbindGrid();
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+  }
+}
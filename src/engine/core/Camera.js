@@ -0,0 +1,494 @@
+import { PositionComponent } from './Components.js';
+
+/**
+ * Easing functions for camera animations, t in [0, 1]
+ */
+export const Easing = {
+  linear: t => t,
+  easeInQuad: t => t * t,
+  easeOutQuad: t => t * (2 - t),
+  easeInOutQuad: t => (t < 0.5 ? 2 * t * t : -1 + (4 - 2 * t) * t),
+  easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2)
+};
+
+/**
+ * Camera - Pan/zoom behavior on top of the engine's viewportPos/scale
+ * Adds zoom anchored at a screen point, smooth animated zoom, pan inertia
+ * and clamping that keeps part of the map on screen. The engine's
+ * minScale/maxScale still bound every zoom.
+ *
+ * Scripted moves: panTo(hex), follow(entityId), fitToMap(), fitToHexes(hexes)
+ * and shake(). A user drag or setViewport() cancels animations and following.
+ */
+export class Camera {
+  constructor(engine, config = {}) {
+    this.engine = engine;
+
+    this.smoothZoom = config.smoothZoom ?? true;
+    this.zoomSmoothing = config.zoomSmoothing ?? 0.25; // Fraction of the remaining zoom applied per 60fps frame
+    this.panInertia = config.panInertia ?? true;
+    this.inertiaFriction = config.inertiaFriction ?? 0.92; // Velocity kept per 60fps frame
+    this.clampToBounds = config.clampToBounds ?? true;
+    this.boundsMargin = config.boundsMargin ?? 100; // Screen pixels of map that must stay visible
+
+    this.zoomTarget = null; // {scale, anchorX, anchorY} while a smooth zoom is running
+    this.velocity = { x: 0, y: 0 }; // Screen pixels per millisecond
+    this.lastPanTime = 0;
+    this.inertiaActive = false;
+
+    this.animation = null; // {from, to, elapsed, duration, easing, resolve} during panTo/fit
+    this.followId = null; // Entity kept centered on screen
+    this.followSmoothing = config.followSmoothing ?? 0.15; // Fraction of the gap closed per 60fps frame
+    this.shakeEffect = null; // {intensity, duration, elapsed}
+    this.shakeOffset = { x: 0, y: 0 }; // Screen offset added on top of viewportPos
+
+    this.mapBounds = null; // Cached grid pixel bounds
+    this.mapBoundsGrid = null; // Grid the cache belongs to
+    this.mapBoundsVersion = -1; // ...and its renderVersion
+  }
+
+  /**
+   * Zoom so the world point under a canvas position stays under it
+   * @param {number} scale - Target scale (clamped to engine min/max)
+   * @param {number} anchorX - Canvas x of the zoom center
+   * @param {number} anchorY - Canvas y of the zoom center
+   * @param {boolean} animate - Ease toward the target over the next frames
+   */
+  zoomAt(scale, anchorX, anchorY, animate = false) {
+    const target = this.clampScale(scale);
+    this.cancelAnimation();
+
+    if (animate && this.smoothZoom) {
+      this.zoomTarget = { scale: target, anchorX, anchorY };
+      return;
+    }
+
+    this.zoomTarget = null;
+    this.applyZoom(target, anchorX, anchorY);
+  }
+
+  /**
+   * Multiply the zoom around a canvas position (mouse wheel)
+   * Repeated calls during an animation compound on the pending target
+   */
+  zoomBy(factor, anchorX, anchorY, animate = true) {
+    const base = this.zoomTarget ? this.zoomTarget.scale : this.engine.scale;
+    this.zoomAt(base * factor, anchorX, anchorY, animate);
+  }
+
+  /**
+   * Set scale immediately, keeping the anchor point fixed on screen
+   */
+  applyZoom(scale, anchorX, anchorY) {
+    const engine = this.engine;
+    const worldX = (anchorX - engine.viewportPos.x) / engine.scale;
+    const worldY = (anchorY - engine.viewportPos.y) / engine.scale;
+
+    engine.scale = scale;
+    engine.viewportPos.x = anchorX - worldX * scale;
+    engine.viewportPos.y = anchorY - worldY * scale;
+    this.commit();
+  }
+
+  /**
+   * Move the camera by a screen-space delta (drag panning)
+   * Tracks velocity so releasing can continue with inertia
+   */
+  panBy(dx, dy) {
+    const now = performance.now();
+    const elapsed = Math.max(1, now - this.lastPanTime);
+
+    // Smooth the velocity so one jittery event doesn't decide the fling
+    if (this.lastPanTime > 0 && elapsed < 100) {
+      this.velocity.x = this.velocity.x * 0.5 + (dx / elapsed) * 0.5;
+      this.velocity.y = this.velocity.y * 0.5 + (dy / elapsed) * 0.5;
+    } else {
+      this.velocity.x = 0;
+      this.velocity.y = 0;
+    }
+    this.lastPanTime = now;
+
+    this.inertiaActive = false;
+    this.engine.viewportPos.x += dx;
+    this.engine.viewportPos.y += dy;
+    this.commit();
+  }
+
+  /**
+   * Start of a drag: stop any coasting, scripted move or following
+   */
+  grab() {
+    this.cancelAnimation();
+    this.followId = null;
+    this.inertiaActive = false;
+    this.velocity.x = 0;
+    this.velocity.y = 0;
+    this.lastPanTime = 0;
+  }
+
+  /**
+   * End of a drag: keep coasting with the drag's velocity
+   */
+  release() {
+    // A pause before letting go means no fling
+    const idle = performance.now() - this.lastPanTime;
+    this.inertiaActive = this.panInertia && idle < 80 && Math.hypot(this.velocity.x, this.velocity.y) > 0.05;
+    this.lastPanTime = 0;
+  }
+
+  /**
+   * Stop all camera motion (animated zoom, inertia, scripted moves and following)
+   */
+  stop() {
+    this.zoomTarget = null;
+    this.grab();
+  }
+
+  // ==========================================
+  // Scripted camera moves
+  // ==========================================
+
+  /**
+   * Center the camera on a hex
+   * @param {Hex|{q, r}} hex
+   * @param {Object} options
+   * @param {number} options.duration - Milliseconds; 0 jumps immediately (default 400)
+   * @param {string|Function} options.easing - Name from Easing or a function (default 'easeInOutQuad')
+   * @param {number} options.scale - Zoom to end at (default: keep the current zoom)
+   * @returns {Promise<boolean>} Resolves true when the move completes, false if interrupted
+   */
+  panTo(hex, { duration = 400, easing = 'easeInOutQuad', scale } = {}) {
+    const grid = this.requireGrid();
+    const pos = grid.hexToPixel(hex);
+    return this.animateTo(pos.x, pos.y, scale ?? this.engine.scale, duration, easing);
+  }
+
+  /**
+   * Zoom and center so all given hexes fit on screen
+   * @param {Array<Hex|{q, r}>} hexes
+   * @param {Object} options
+   * @param {number} options.padding - Screen pixels left around the hexes (default 40)
+   * @param {number} options.duration - Milliseconds; 0 jumps immediately (default 0)
+   * @param {string|Function} options.easing - Name from Easing or a function (default 'easeInOutQuad')
+   * @returns {Promise<boolean>} Resolves true when the move completes, false if interrupted
+   */
+  fitToHexes(hexes, { padding = 40, duration = 0, easing = 'easeInOutQuad' } = {}) {
+    const grid = this.requireGrid();
+    const bounds = hexBounds(grid, hexes);
+    if (!bounds) {
+      return Promise.resolve(false);
+    }
+
+    const { width, height } = this.engine.config;
+    const boundsWidth = bounds.right - bounds.left;
+    const boundsHeight = bounds.bottom - bounds.top;
+    const scale = this.clampScale(Math.min(
+      Math.max(1, width - padding * 2) / boundsWidth,
+      Math.max(1, height - padding * 2) / boundsHeight
+    ));
+
+    return this.animateTo(
+      (bounds.left + bounds.right) / 2,
+      (bounds.top + bounds.bottom) / 2,
+      scale, duration, easing
+    );
+  }
+
+  /**
+   * Zoom and center so the whole map fits on screen
+   * @param {Object} options - See fitToHexes
+   * @returns {Promise<boolean>}
+   */
+  fitToMap(options = {}) {
+    const grid = this.requireGrid();
+    const hexes = Array.from(grid.hexes.values(), ({ hex }) => hex);
+    return this.fitToHexes(hexes, options);
+  }
+
+  /**
+   * Keep an entity centered on screen until follow(null), a drag or setViewport()
+   * @param {number|null} entityId - Entity with a PositionComponent, or null to stop
+   */
+  follow(entityId) {
+    if (entityId !== null && !this.engine.entityManager.getComponent(entityId, PositionComponent)) {
+      throw new Error(`Entity ${entityId} has no PositionComponent to follow`);
+    }
+    this.cancelAnimation();
+    this.followId = entityId;
+  }
+
+  /**
+   * Shake the view (screen offset only; viewportPos is unchanged)
+   * @param {Object} options
+   * @param {number} options.intensity - Maximum offset in screen pixels (default 8)
+   * @param {number} options.duration - Milliseconds (default 300)
+   */
+  shake({ intensity = 8, duration = 300 } = {}) {
+    this.shakeEffect = { intensity, duration, elapsed: 0 };
+  }
+
+  /**
+   * Get the world point at the center of the screen
+   * @returns {{x: number, y: number}}
+   */
+  getCenter() {
+    const engine = this.engine;
+    return {
+      x: (engine.config.width / 2 - engine.viewportPos.x) / engine.scale,
+      y: (engine.config.height / 2 - engine.viewportPos.y) / engine.scale
+    };
+  }
+
+  /**
+   * Put a world point at the center of the screen immediately
+   */
+  centerOn(x, y, scale = this.engine.scale) {
+    const engine = this.engine;
+    engine.scale = this.clampScale(scale);
+    engine.viewportPos.x = engine.config.width / 2 - x * engine.scale;
+    engine.viewportPos.y = engine.config.height / 2 - y * engine.scale;
+    this.commit();
+  }
+
+  /**
+   * Move the screen center to a world point and zoom, optionally over time
+   * Center and scale are interpolated separately so the path stays straight
+   */
+  animateTo(x, y, scale, duration, easing) {
+    const ease = resolveEasing(easing);
+    this.cancelAnimation();
+    this.followId = null;
+    this.zoomTarget = null;
+    this.inertiaActive = false;
+
+    if (!(duration > 0)) {
+      this.centerOn(x, y, scale);
+      return Promise.resolve(true);
+    }
+
+    return new Promise(resolve => {
+      this.animation = {
+        from: { ...this.getCenter(), scale: this.engine.scale },
+        to: { x, y, scale: this.clampScale(scale) },
+        elapsed: 0,
+        duration,
+        easing: ease,
+        resolve
+      };
+    });
+  }
+
+  /**
+   * Stop a running panTo/fit animation; its promise resolves false
+   */
+  cancelAnimation() {
+    if (this.animation) {
+      const { resolve } = this.animation;
+      this.animation = null;
+      resolve(false);
+    }
+  }
+
+  requireGrid() {
+    if (!this.engine.hexGrid) {
+      throw new Error('Camera needs a hex grid; initialize the engine first');
+    }
+    return this.engine.hexGrid;
+  }
+
+  /**
+   * Advance animations; called every frame by the engine
+   * @param {number} deltaMS - Milliseconds since the last frame
+   */
+  update(deltaMS) {
+    const frames = deltaMS / (1000 / 60); // Frame-rate independent easing
+    const { x, y } = this.engine.viewportPos;
+    const scale = this.engine.scale;
+
+    if (this.animation) {
+      const animation = this.animation;
+      animation.elapsed += deltaMS;
+      const t = Math.min(1, animation.elapsed / animation.duration);
+      const k = animation.easing(t);
+      const { from, to } = animation;
+
+      this.centerOn(
+        from.x + (to.x - from.x) * k,
+        from.y + (to.y - from.y) * k,
+        from.scale + (to.scale - from.scale) * k
+      );
+
+      if (t >= 1) {
+        this.animation = null;
+        animation.resolve(true);
+      }
+    }
+
+    if (this.followId !== null) {
+      this.updateFollow(frames);
+    }
+
+    if (this.zoomTarget) {
+      const { scale, anchorX, anchorY } = this.zoomTarget;
+      const t = 1 - Math.pow(1 - this.zoomSmoothing, frames);
+      const next = this.engine.scale + (scale - this.engine.scale) * t;
+
+      if (Math.abs(scale - next) < 0.001) {
+        this.zoomTarget = null;
+        this.applyZoom(scale, anchorX, anchorY);
+      } else {
+        this.applyZoom(next, anchorX, anchorY);
+      }
+    }
+
+    if (this.inertiaActive) {
+      this.engine.viewportPos.x += this.velocity.x * deltaMS;
+      this.engine.viewportPos.y += this.velocity.y * deltaMS;
+
+      const decay = Math.pow(this.inertiaFriction, frames);
+      this.velocity.x *= decay;
+      this.velocity.y *= decay;
+      if (Math.hypot(this.velocity.x, this.velocity.y) < 0.01) {
+        this.inertiaActive = false;
+      }
+      this.commit();
+    }
+
+    if (this.shakeEffect) {
+      this.updateShake(deltaMS);
+    }
+
+    // The map moved under a still cursor; shake is too brief to matter
+    const engine = this.engine;
+    if (engine.viewportPos.x !== x || engine.viewportPos.y !== y || engine.scale !== scale) {
+      engine.refreshHover();
+    }
+  }
+
+  updateFollow(frames) {
+    const position = this.engine.entityManager.getComponent(this.followId, PositionComponent);
+    if (!position) {
+      this.followId = null; // Entity destroyed or lost its position
+      return;
+    }
+
+    const target = this.engine.hexGrid.hexToPixel(position);
+    const center = this.getCenter();
+    const dx = target.x - center.x;
+    const dy = target.y - center.y;
+    if (Math.abs(dx) < 0.5 && Math.abs(dy) < 0.5) return;
+
+    const t = 1 - Math.pow(1 - this.followSmoothing, frames);
+    this.centerOn(center.x + dx * t, center.y + dy * t);
+  }
+
+  updateShake(deltaMS) {
+    const shake = this.shakeEffect;
+    shake.elapsed += deltaMS;
+
+    if (shake.elapsed >= shake.duration) {
+      this.shakeEffect = null;
+      this.shakeOffset.x = 0;
+      this.shakeOffset.y = 0;
+    } else {
+      // Random jitter fading out linearly
+      const amplitude = shake.intensity * (1 - shake.elapsed / shake.duration);
+      this.shakeOffset.x = (Math.random() * 2 - 1) * amplitude;
+      this.shakeOffset.y = (Math.random() * 2 - 1) * amplitude;
+    }
+    this.engine.updateViewportTransform();
+  }
+
+  /**
+   * Clamp the position to the bounds and push it to the Pixi container
+   */
+  commit() {
+    if (this.clampToBounds) {
+      this.clampPosition();
+    }
+    this.engine.updateViewportTransform();
+  }
+
+  clampScale(scale) {
+    return Math.max(this.engine.minScale, Math.min(this.engine.maxScale, scale));
+  }
+
+  /**
+   * Keep at least boundsMargin screen pixels of the map visible on each axis
+   * (or the whole map, if it is smaller than the margin)
+   */
+  clampPosition() {
+    const bounds = this.getMapBounds();
+    if (!bounds) return;
+
+    const engine = this.engine;
+    const { width, height } = engine.config;
+    const scale = engine.scale;
+
+    const marginX = Math.min(this.boundsMargin, (bounds.right - bounds.left) * scale);
+    const marginY = Math.min(this.boundsMargin, (bounds.bottom - bounds.top) * scale);
+
+    // Map right edge may not go left of marginX, left edge not right of width - marginX
+    const minX = marginX - bounds.right * scale;
+    const maxX = width - marginX - bounds.left * scale;
+    const minY = marginY - bounds.bottom * scale;
+    const maxY = height - marginY - bounds.top * scale;
+
+    const x = Math.max(minX, Math.min(maxX, engine.viewportPos.x));
+    const y = Math.max(minY, Math.min(maxY, engine.viewportPos.y));
+
+    // Hitting a bound stops inertia along that axis
+    if (x !== engine.viewportPos.x) this.velocity.x = 0;
+    if (y !== engine.viewportPos.y) this.velocity.y = 0;
+
+    engine.viewportPos.x = x;
+    engine.viewportPos.y = y;
+  }
+
+  /**
+   * Pixel bounds of the whole grid, cached until the grid re-renders
+   * @returns {{left, right, top, bottom}|null}
+   */
+  getMapBounds() {
+    const grid = this.engine.hexGrid;
+    if (!grid || grid.getHexCount() === 0) return null;
+
+    if (this.mapBounds && this.mapBoundsVersion === grid.renderVersion && this.mapBoundsGrid === grid) {
+      return this.mapBounds;
+    }
+
+    const bounds = hexBounds(grid, Array.from(grid.hexes.values(), ({ hex }) => hex));
+
+    this.mapBounds = bounds;
+    this.mapBoundsVersion = grid.renderVersion;
+    this.mapBoundsGrid = grid;
+    return bounds;
+  }
+}
+
+/**
+ * Pixel bounds around a set of hexes (hex size padding on every side)
+ * @returns {{left, right, top, bottom}|null} null for an empty set
+ */
+function hexBounds(grid, hexes) {
+  if (hexes.length === 0) return null;
+
+  const bounds = { left: Infinity, right: -Infinity, top: Infinity, bottom: -Infinity };
+  hexes.forEach(hex => {
+    const pos = grid.hexToPixel(hex);
+    bounds.left = Math.min(bounds.left, pos.x - grid.size);
+    bounds.right = Math.max(bounds.right, pos.x + grid.size);
+    bounds.top = Math.min(bounds.top, pos.y - grid.size);
+    bounds.bottom = Math.max(bounds.bottom, pos.y + grid.size);
+  });
+  return bounds;
+}
+
+function resolveEasing(easing) {
+  if (typeof easing === 'function') return easing;
+  if (!Easing[easing]) {
+    throw new Error(`Unknown easing "${easing}" (available: ${Object.keys(Easing).join(', ')})`);
+  }
+  return Easing[easing];
+}
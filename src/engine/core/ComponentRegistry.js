@@ -0,0 +1,97 @@
+import { DEFAULT_COMPONENTS } from './Components.js';
+
+/**
+ * Resolve a component type id from a type id, a component class or a component instance
+ * @param {string|Function|Object} typeOrClass
+ * @returns {string}
+ */
+export function componentType(typeOrClass) {
+  if (typeof typeOrClass === 'string') {
+    return typeOrClass;
+  }
+
+  const ComponentClass = typeof typeOrClass === 'function' ? typeOrClass : typeOrClass?.constructor;
+  // Own property only: a subclass must not silently share its parent's id
+  if (!ComponentClass || !Object.prototype.hasOwnProperty.call(ComponentClass, 'type') ||
+      typeof ComponentClass.type !== 'string' || !ComponentClass.type) {
+    throw new Error(`Component class ${ComponentClass?.name || '(anonymous)'} needs a static string "type" id`);
+  }
+  return ComponentClass.type;
+}
+
+/**
+ * ComponentRegistry - Maps stable component type ids to component classes
+ * Used to rebuild components from saves. Classes are registered up front
+ * (built-ins by default) or automatically the first time an entity gets one,
+ * but a class must be registered before loading a save that contains it.
+ *
+ * A component class looks like:
+ *   class HealthComponent {
+ *     static type = 'health';            // Stable id used in saves (required)
+ *     serialize() { return {...}; }      // Optional; unserialized components aren't saved
+ *     static deserialize(data) { ... }   // Optional; needed to restore from a save
+ *   }
+ */
+export class ComponentRegistry {
+  constructor(componentClasses = DEFAULT_COMPONENTS) {
+    this.classes = new Map(); // type id -> component class
+    this.registerAll(componentClasses);
+  }
+
+  /**
+   * Register a component class under its static type id
+   * @param {Function} ComponentClass
+   * @returns {string} The type id
+   */
+  register(ComponentClass) {
+    const type = componentType(ComponentClass);
+    const existing = this.classes.get(type);
+
+    if (existing && existing !== ComponentClass) {
+      throw new Error(`Component type "${type}" is already registered by another class`);
+    }
+
+    this.classes.set(type, ComponentClass);
+    return type;
+  }
+
+  /**
+   * Register several component classes
+   * @param {Array<Function>} componentClasses
+   */
+  registerAll(componentClasses) {
+    componentClasses.forEach(ComponentClass => this.register(ComponentClass));
+  }
+
+  /**
+   * Get the class registered for a type id
+   * @returns {Function|null}
+   */
+  get(type) {
+    return this.classes.get(type) || null;
+  }
+
+  has(type) {
+    return this.classes.has(type);
+  }
+
+  /**
+   * All registered type ids
+   * @returns {Array<string>}
+   */
+  types() {
+    return Array.from(this.classes.keys());
+  }
+
+  /**
+   * Rebuild a component from its saved data
+   * @returns {Object|null} null if the type is unknown or can't be deserialized
+   */
+  deserialize(type, data) {
+    const ComponentClass = this.classes.get(type);
+    if (!ComponentClass || !ComponentClass.deserialize) {
+      return null;
+    }
+    return ComponentClass.deserialize(data);
+  }
+}
@@ -1,12 +1,19 @@
 /**
  * Component definitions for ECS
  * Components are pure data - no logic
+ *
+ * Every component class declares a static `type` id. Entities and saves key
+ * components by this id, so it must never change once shipped (class names
+ * can't be used: minified builds rename them). The built-in ids match the
+ * original class names so older saves still load.
  */
 
 /**
  * PositionComponent - Hex grid position
  */
 export class PositionComponent {
+  static type = 'PositionComponent';
+
   constructor(q, r) {
     this.q = q;
     this.r = r;
@@ -25,6 +32,8 @@ export class PositionComponent {
  * RenderableComponent - Visual representation
  */
 export class RenderableComponent {
+  static type = 'RenderableComponent';
+
   constructor(color, shape = 'circle') {
     this.color = color;
     this.shape = shape; // 'circle', 'square', 'triangle'
@@ -46,3 +55,51 @@ export class RenderableComponent {
     return component;
   }
 }
+
+/**
+ * FactionComponent - Which side an entity belongs to
+ */
+export class FactionComponent {
+  static type = 'FactionComponent';
+
+  constructor(faction) {
+    this.faction = faction; // Faction identifier, e.g. 'red'
+  }
+
+  serialize() {
+    return { faction: this.faction };
+  }
+
+  static deserialize(data) {
+    return new FactionComponent(data.faction);
+  }
+}
+
+/**
+ * VisionComponent - How far an entity can see
+ */
+export class VisionComponent {
+  static type = 'VisionComponent';
+
+  constructor(range = 3) {
+    this.range = range; // Sight radius in hexes
+  }
+
+  serialize() {
+    return { range: this.range };
+  }
+
+  static deserialize(data) {
+    return new VisionComponent(data.range);
+  }
+}
+
+/**
+ * Built-in components, registered in every ComponentRegistry
+ */
+export const DEFAULT_COMPONENTS = [
+  PositionComponent,
+  RenderableComponent,
+  FactionComponent,
+  VisionComponent
+];
@@ -1,11 +1,44 @@
+import { ComponentRegistry, componentType } from './ComponentRegistry.js';
+import { EventEmitter } from './EventEmitter.js';
+import { PositionComponent } from './Components.js';
+import { SpatialIndex } from './SpatialIndex.js';
+
 /**
  * EntityManager - Core ECS implementation
  * Manages entities and their components
+ * Components are keyed by their class's static type id (see Components.js);
+ * methods taking a component type accept the class or the id string
+ *
+ * Queries are cached: the first query() for a set of types collects its
+ * matches (starting from the smallest per-type index), after which
+ * createEntity, addComponent, removeComponent and destroyEntity keep every
+ * cached result up to date. Repeating a query each frame costs nothing
+ * unless its matches changed.
+ *
+ * `spatialIndex` finds entities by hex. It follows PositionComponents as
+ * they are added, removed or replaced; move entities with moveEntity() so
+ * the index sees the change.
+ *
+ * Lifecycle events (onEntityCreated, onEntityDestroyed, onComponentAdded,
+ * onComponentRemoved, onEntityMoved) are queued and delivered by flushEvents(), which the
+ * engine calls before each system runs. Listeners therefore never run in
+ * the middle of a caller's loop, and may freely create or destroy entities.
  */
 export class EntityManager {
-  constructor() {
+  /**
+   * @param {ComponentRegistry} componentRegistry - Classes used to restore saves
+   */
+  constructor(componentRegistry = new ComponentRegistry()) {
     this.entities = new Map(); // entityId -> Map<componentType, component>
     this.nextEntityId = 1;
+    this.componentRegistry = componentRegistry;
+
+    this.typeIndex = new Map(); // componentType -> Set<entityId>
+    this.queries = new Map(); // query key -> {types, matches: Map<entityId, result>, results}
+    this.spatialIndex = new SpatialIndex(); // Entities by hex, from their PositionComponent
+
+    this.events = new EventEmitter();
+    this.pendingEvents = []; // [event, payload] waiting for flushEvents()
   }
 
   /**
@@ -14,14 +47,20 @@ export class EntityManager {
    * @returns {number} entityId
    */
   createEntity(components = []) {
-    const entityId = this.nextEntityId++;
     const componentMap = new Map();
 
     components.forEach(component => {
-      componentMap.set(component.constructor.name, component);
+      componentMap.set(this.componentRegistry.register(component.constructor), component);
     });
 
+    const entityId = this.nextEntityId++;
     this.entities.set(entityId, componentMap);
+
+    componentMap.forEach((component, type) => this.indexComponent(entityId, type, component));
+    this.queries.forEach(query => this.matchQuery(query, entityId, componentMap));
+
+    this.queueEvent('entitycreated', { entityId, components: componentMap });
+    componentMap.forEach((component, type) => this.queueEvent(`componentadded:${type}`, { entityId, type, component }));
     return entityId;
   }
 
@@ -30,7 +69,13 @@ export class EntityManager {
    * @param {number} entityId
    */
   destroyEntity(entityId) {
+    const componentMap = this.entities.get(entityId);
+    if (!componentMap) return;
+
     this.entities.delete(entityId);
+    componentMap.forEach((component, type) => this.unindexComponent(entityId, type));
+    this.queries.forEach(query => this.unmatchQuery(query, entityId));
+    this.queueDestroyed(entityId, componentMap);
   }
 
   /**
@@ -43,49 +88,197 @@ export class EntityManager {
     if (!entity) {
       throw new Error(`Entity ${entityId} does not exist`);
     }
-    entity.set(component.constructor.name, component);
+    const type = this.componentRegistry.register(component.constructor);
+    const previous = entity.get(type);
+    entity.set(type, component);
+    this.indexComponent(entityId, type, component);
+
+    if (previous) {
+      // Replacing doesn't change which queries match, but listeners see the swap
+      this.queueEvent(`componentremoved:${type}`, { entityId, type, component: previous });
+    } else {
+      this.queries.forEach(query => {
+        if (query.types.includes(type)) this.matchQuery(query, entityId, entity);
+      });
+    }
+    this.queueEvent(`componentadded:${type}`, { entityId, type, component });
   }
 
   /**
    * Remove a component from an entity
    * @param {number} entityId
-   * @param {string} componentType
+   * @param {Function|string} type - Component class or type id
    */
-  removeComponent(entityId, componentType) {
+  removeComponent(entityId, type) {
     const entity = this.entities.get(entityId);
-    if (entity) {
-      entity.delete(componentType);
+    const removedType = componentType(type);
+    const component = entity ? entity.get(removedType) : undefined;
+    if (!component) return;
+
+    entity.delete(removedType);
+    this.unindexComponent(entityId, removedType);
+    this.queries.forEach(query => {
+      if (query.types.includes(removedType)) this.unmatchQuery(query, entityId);
+    });
+    this.queueEvent(`componentremoved:${removedType}`, { entityId, type: removedType, component });
+  }
+
+  /**
+   * Move an entity to a hex, keeping the spatial index in sync
+   * Stacking rules are not checked here (see spatialIndex.canPlace)
+   * @param {number} entityId
+   * @param {{q: number, r: number}} hex
+   */
+  moveEntity(entityId, hex) {
+    const position = this.getComponent(entityId, PositionComponent);
+    if (!position) {
+      throw new Error(`Entity ${entityId} has no PositionComponent to move`);
+    }
+
+    const from = { q: position.q, r: position.r };
+    position.q = hex.q;
+    position.r = hex.r;
+    this.spatialIndex.insert(entityId, position);
+    this.queueEvent('entitymoved', { entityId, position, from });
+  }
+
+  // ==========================================
+  // Lifecycle events
+  // ==========================================
+
+  /**
+   * Subscribe to entity creation (delivered by flushEvents)
+   * @param {Function} listener - Called with {entityId, components}
+   * @returns {Function} Unsubscribe function
+   */
+  onEntityCreated(listener) {
+    return this.events.on('entitycreated', listener);
+  }
+
+  /**
+   * Subscribe to entity destruction (delivered by flushEvents)
+   * Also fired for every entity removed by clear() or a restore
+   * @param {Function} listener - Called with {entityId, components} (the components it had)
+   * @returns {Function} Unsubscribe function
+   */
+  onEntityDestroyed(listener) {
+    return this.events.on('entitydestroyed', listener);
+  }
+
+  /**
+   * Subscribe to entities moved with moveEntity (delivered by flushEvents)
+   * @param {Function} listener - Called with {entityId, position, from: {q, r}}
+   * @returns {Function} Unsubscribe function
+   */
+  onEntityMoved(listener) {
+    return this.events.on('entitymoved', listener);
+  }
+
+  /**
+   * Subscribe to a component type being added, including on entity creation
+   * and when a component replaces one of the same type
+   * @param {Function|string} type - Component class or type id
+   * @param {Function} listener - Called with {entityId, type, component}
+   * @returns {Function} Unsubscribe function
+   */
+  onComponentAdded(type, listener) {
+    return this.events.on(`componentadded:${componentType(type)}`, listener);
+  }
+
+  /**
+   * Subscribe to a component type being removed, including on entity
+   * destruction and when a component is replaced by one of the same type
+   * @param {Function|string} type - Component class or type id
+   * @param {Function} listener - Called with {entityId, type, component} (the removed component)
+   * @returns {Function} Unsubscribe function
+   */
+  onComponentRemoved(type, listener) {
+    return this.events.on(`componentremoved:${componentType(type)}`, listener);
+  }
+
+  /**
+   * Deliver queued lifecycle events, in the order the changes happened
+   * Events queued by listeners are delivered in the same flush
+   */
+  flushEvents() {
+    while (this.pendingEvents.length > 0) {
+      const events = this.pendingEvents;
+      this.pendingEvents = [];
+      events.forEach(([event, payload]) => this.events.emit(event, payload));
+    }
+  }
+
+  /**
+   * Queue an event for flushEvents (skipped when nobody listens)
+   */
+  queueEvent(event, payload) {
+    if (this.events.hasListeners(event)) {
+      this.pendingEvents.push([event, payload]);
     }
   }
 
+  /**
+   * Queue the component removals and destruction of an entity
+   */
+  queueDestroyed(entityId, componentMap) {
+    componentMap.forEach((component, type) => this.queueEvent(`componentremoved:${type}`, { entityId, type, component }));
+    this.queueEvent('entitydestroyed', { entityId, components: componentMap });
+  }
+
   /**
    * Get a specific component from an entity
    * @param {number} entityId
-   * @param {string} componentType
+   * @param {Function|string} type - Component class or type id
    * @returns {Object|null}
    */
-  getComponent(entityId, componentType) {
+  getComponent(entityId, type) {
     const entity = this.entities.get(entityId);
-    return entity ? entity.get(componentType) : null;
+    return entity ? entity.get(componentType(type)) : null;
   }
 
   /**
    * Check if entity has a component
    * @param {number} entityId
-   * @param {string} componentType
+   * @param {Function|string} type - Component class or type id
    * @returns {boolean}
    */
-  hasComponent(entityId, componentType) {
+  hasComponent(entityId, type) {
     const entity = this.entities.get(entityId);
-    return entity ? entity.has(componentType) : false;
+    return entity ? entity.has(componentType(type)) : false;
   }
 
   /**
-   * Query entities that have ALL specified component types
-   * @param {...string} componentTypes
+   * Query entities that have ALL specified component types (cached, see class doc)
+   * The returned array is shared with later calls until the matches change:
+   * don't modify it, and copy it if entities are created/destroyed while iterating
+   * @param {...(Function|string)} types - Component classes or type ids
+   * @returns {Array<{entityId: number, components: Map}>} components is keyed by type id
+   */
+  query(...types) {
+    const componentTypes = [...new Set(types.map(componentType))].sort();
+    const key = componentTypes.join('|');
+
+    let query = this.queries.get(key);
+    if (!query) {
+      query = { types: componentTypes, matches: new Map(), results: null };
+      this.collectMatches(query);
+      this.queries.set(key, query);
+    }
+
+    if (!query.results) {
+      query.results = Array.from(query.matches.values());
+    }
+    return query.results;
+  }
+
+  /**
+   * Uncached query: walk every entity and check every type
+   * For one-off queries and benchmarks; prefer query() for repeated ones
+   * @param {...(Function|string)} types - Component classes or type ids
    * @returns {Array<{entityId: number, components: Map}>}
    */
-  query(...componentTypes) {
+  scan(...types) {
+    const componentTypes = types.map(componentType);
     const results = [];
 
     this.entities.forEach((componentMap, entityId) => {
@@ -98,6 +291,95 @@ export class EntityManager {
     return results;
   }
 
+  /**
+   * Query entities that have ALL specified component classes, returning the
+   * components in argument order:
+   *   for (const [entityId, position, vision] of em.queryComponents(PositionComponent, VisionComponent))
+   * @param {...Function} componentClasses
+   * @returns {Array<Array>} [entityId, ...components] per entity
+   */
+  queryComponents(...componentClasses) {
+    const componentTypes = componentClasses.map(componentType);
+
+    return this.query(...componentTypes).map(({ entityId, components }) => [
+      entityId,
+      ...componentTypes.map(type => components.get(type))
+    ]);
+  }
+
+  /**
+   * Fill a new cached query, starting from the smallest per-type index
+   */
+  collectMatches(query) {
+    if (query.types.length === 0) {
+      this.entities.forEach((componentMap, entityId) => this.matchQuery(query, entityId, componentMap));
+      return;
+    }
+
+    let smallest = null;
+    for (const type of query.types) {
+      const ids = this.typeIndex.get(type);
+      if (!ids) return; // No entity has this type yet
+      if (!smallest || ids.size < smallest.size) smallest = ids;
+    }
+
+    smallest.forEach(entityId => this.matchQuery(query, entityId, this.entities.get(entityId)));
+  }
+
+  /**
+   * Add an entity to a cached query if it has all the query's types
+   */
+  matchQuery(query, entityId, componentMap) {
+    if (query.matches.has(entityId)) return;
+    if (!query.types.every(type => componentMap.has(type))) return;
+
+    query.matches.set(entityId, { entityId, components: componentMap });
+    query.results = null;
+  }
+
+  /**
+   * Drop an entity from a cached query
+   */
+  unmatchQuery(query, entityId) {
+    if (query.matches.delete(entityId)) {
+      query.results = null;
+    }
+  }
+
+  indexComponent(entityId, type, component) {
+    if (type === PositionComponent.type) {
+      this.spatialIndex.insert(entityId, component);
+    }
+
+    let ids = this.typeIndex.get(type);
+    if (!ids) {
+      ids = new Set();
+      this.typeIndex.set(type, ids);
+    }
+    ids.add(entityId);
+  }
+
+  unindexComponent(entityId, type) {
+    if (type === PositionComponent.type) {
+      this.spatialIndex.remove(entityId);
+    }
+
+    const ids = this.typeIndex.get(type);
+    if (ids) {
+      ids.delete(entityId);
+    }
+  }
+
+  /**
+   * Number of entities with a component type (from the per-type index)
+   * @param {Function|string} type - Component class or type id
+   * @returns {number}
+   */
+  countComponent(type) {
+    const ids = this.typeIndex.get(componentType(type));
+    return ids ? ids.size : 0;
+  }
+
   /**
    * Get all entities
    * @returns {Map}
@@ -144,25 +426,30 @@ export class EntityManager {
 
   /**
    * Deserialize entities from saved state
+   * Components whose type isn't registered are skipped
    * @param {Array} serialized
-   * @param {Object} componentRegistry - Map of component type names to constructors
+   * @param {ComponentRegistry} componentRegistry - Defaults to this manager's registry
    */
-  deserialize(serialized, componentRegistry) {
-    this.entities.clear();
+  deserialize(serialized, componentRegistry = this.componentRegistry) {
+    this.clear();
     let maxId = 0;
 
     serialized.forEach(entityData => {
       const componentMap = new Map();
 
       entityData.components.forEach(({ type, data }) => {
-        const ComponentClass = componentRegistry[type];
-        if (ComponentClass && ComponentClass.deserialize) {
-          const component = ComponentClass.deserialize(data);
+        const component = componentRegistry.deserialize(type, data);
+        if (component) {
           componentMap.set(type, component);
         }
       });
 
       this.entities.set(entityData.entityId, componentMap);
+      componentMap.forEach((component, type) => this.indexComponent(entityData.entityId, type, component));
+      this.queueEvent('entitycreated', { entityId: entityData.entityId, components: componentMap });
+      componentMap.forEach((component, type) => this.queueEvent(`componentadded:${type}`, {
+        entityId: entityData.entityId, type, component
+      }));
       maxId = Math.max(maxId, entityData.entityId);
     });
 
@@ -173,7 +460,11 @@ export class EntityManager {
    * Clear all entities
    */
   clear() {
+    this.entities.forEach((componentMap, entityId) => this.queueDestroyed(entityId, componentMap));
     this.entities.clear();
+    this.typeIndex.clear();
+    this.spatialIndex.clear();
+    this.queries.clear(); // Rebuilt from the index on next use
     this.nextEntityId = 1;
   }
 }
@@ -0,0 +1,85 @@
+/**
+ * EventEmitter - Minimal named-event pub/sub
+ * Multiple listeners per event; listeners are called in subscription order
+ */
+export class EventEmitter {
+  constructor() {
+    this.listeners = new Map(); // event -> Set<listener>
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} event
+   * @param {Function} listener
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, listener) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(listener);
+
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * Subscribe to the next occurrence of an event only
+   * @returns {Function} Unsubscribe function
+   */
+  once(event, listener) {
+    const unsubscribe = this.on(event, (...args) => {
+      unsubscribe();
+      listener(...args);
+    });
+    return unsubscribe;
+  }
+
+  /**
+   * Unsubscribe from an event
+   */
+  off(event, listener) {
+    const listeners = this.listeners.get(event);
+    if (listeners) {
+      listeners.delete(listener);
+      if (listeners.size === 0) {
+        this.listeners.delete(event);
+      }
+    }
+  }
+
+  /**
+   * Call all listeners for an event
+   * A throwing listener is logged and doesn't stop the others
+   */
+  emit(event, payload) {
+    const listeners = this.listeners.get(event);
+    if (!listeners) return;
+
+    // Copy so listeners can unsubscribe while being called
+    Array.from(listeners).forEach(listener => {
+      try {
+        listener(payload);
+      } catch (error) {
+        console.error(`Error in "${event}" listener:`, error);
+      }
+    });
+  }
+
+  /**
+   * Check whether an event has any listeners
+   */
+  hasListeners(event) {
+    return this.listeners.has(event);
+  }
+
+  /**
+   * Remove all listeners (optionally only for one event)
+   */
+  clear(event) {
+    if (event === undefined) {
+      this.listeners.clear();
+    } else {
+      this.listeners.delete(event);
+    }
+  }
+}
@@ -1,3 +1,26 @@
+import { HexEdge } from './HexEdge.js';
+import { HexVertex } from './HexVertex.js';
+
+/**
+ * Offset coordinate systems (col, row)
+ * "-q" variants shove columns (flat-top), "-r" variants shove rows (pointy-top)
+ */
+export const OffsetType = {
+  ODD_Q: 'odd-q',
+  EVEN_Q: 'even-q',
+  ODD_R: 'odd-r',
+  EVEN_R: 'even-r'
+};
+
+/**
+ * Doubled coordinate systems (col, row)
+ * DOUBLED_Q doubles rows (flat-top), DOUBLED_R doubles columns (pointy-top)
+ */
+export const DoubledType = {
+  DOUBLED_Q: 'doubled-q',
+  DOUBLED_R: 'doubled-r'
+};
+
 /**
  * Hex class using axial coordinates (q, r)
  * Supports hexagonal grid mathematics and conversions
@@ -57,6 +80,44 @@ export class Hex {
     return result;
   }
 
+  /**
+   * Get the edge (side) shared with the neighbor in a direction (0-5)
+   * @returns {HexEdge}
+   */
+  edge(direction) {
+    return new HexEdge(this, this.neighbor(direction));
+  }
+
+  /**
+   * Get all 6 edges, in direction order
+   */
+  edges() {
+    const result = [];
+    for (let i = 0; i < 6; i++) {
+      result.push(this.edge(i));
+    }
+    return result;
+  }
+
+  /**
+   * Get the corner between the edges in directions i and i+1 (0-5)
+   * @returns {HexVertex}
+   */
+  vertex(i) {
+    return new HexVertex(this, this.neighbor(i), this.neighbor((i + 1) % 6));
+  }
+
+  /**
+   * Get all 6 corners
+   */
+  vertices() {
+    const result = [];
+    for (let i = 0; i < 6; i++) {
+      result.push(this.vertex(i));
+    }
+    return result;
+  }
+
   /**
    * Get all hexes within a given range
    * Performance: O(range²) - use with caution for large ranges
@@ -73,6 +134,107 @@ export class Hex {
     return results;
   }
 
+  /**
+   * Get all hexes on a straight line to another hex (inclusive)
+   * Endpoints are nudged by a small epsilon so lines running exactly along
+   * hex edges resolve consistently to one side
+   * Performance: O(distance)
+   */
+  lineTo(other) {
+    const distance = this.distanceTo(other);
+    if (distance === 0) {
+      return [new Hex(this.q, this.r)];
+    }
+
+    // Nudge q/r/s by different amounts (s gets -3e-6) to break ties
+    const a = { q: this.q + 1e-6, r: this.r + 2e-6 };
+    const b = { q: other.q + 1e-6, r: other.r + 2e-6 };
+    const results = [];
+
+    for (let i = 0; i <= distance; i++) {
+      const point = Hex.lerp(a, b, i / distance);
+      results.push(Hex.round(point.q, point.r));
+    }
+
+    return results;
+  }
+
+  /**
+   * Convert to offset coordinates
+   * @param {string} type - OffsetType value
+   * @returns {{col: number, row: number}}
+   */
+  toOffset(type = OffsetType.ODD_Q) {
+    const { q, r } = this;
+
+    switch (type) {
+      case OffsetType.ODD_Q:
+        return { col: q, row: r + (q - (q & 1)) / 2 };
+      case OffsetType.EVEN_Q:
+        return { col: q, row: r + (q + (q & 1)) / 2 };
+      case OffsetType.ODD_R:
+        return { col: q + (r - (r & 1)) / 2, row: r };
+      case OffsetType.EVEN_R:
+        return { col: q + (r + (r & 1)) / 2, row: r };
+      default:
+        throw new Error(`Unknown offset type: ${type}`);
+    }
+  }
+
+  /**
+   * Create a hex from offset coordinates
+   * @param {number} col
+   * @param {number} row
+   * @param {string} type - OffsetType value
+   */
+  static fromOffset(col, row, type = OffsetType.ODD_Q) {
+    switch (type) {
+      case OffsetType.ODD_Q:
+        return new Hex(col, row - (col - (col & 1)) / 2);
+      case OffsetType.EVEN_Q:
+        return new Hex(col, row - (col + (col & 1)) / 2);
+      case OffsetType.ODD_R:
+        return new Hex(col - (row - (row & 1)) / 2, row);
+      case OffsetType.EVEN_R:
+        return new Hex(col - (row + (row & 1)) / 2, row);
+      default:
+        throw new Error(`Unknown offset type: ${type}`);
+    }
+  }
+
+  /**
+   * Convert to doubled coordinates
+   * @param {string} type - DoubledType value
+   * @returns {{col: number, row: number}}
+   */
+  toDoubled(type = DoubledType.DOUBLED_Q) {
+    switch (type) {
+      case DoubledType.DOUBLED_Q:
+        return { col: this.q, row: 2 * this.r + this.q };
+      case DoubledType.DOUBLED_R:
+        return { col: 2 * this.q + this.r, row: this.r };
+      default:
+        throw new Error(`Unknown doubled type: ${type}`);
+    }
+  }
+
+  /**
+   * Create a hex from doubled coordinates
+   * @param {number} col
+   * @param {number} row
+   * @param {string} type - DoubledType value
+   */
+  static fromDoubled(col, row, type = DoubledType.DOUBLED_Q) {
+    switch (type) {
+      case DoubledType.DOUBLED_Q:
+        return new Hex(col, (row - col) / 2);
+      case DoubledType.DOUBLED_R:
+        return new Hex((col - row) / 2, row);
+      default:
+        throw new Error(`Unknown doubled type: ${type}`);
+    }
+  }
+
   /**
    * Serialize to JSON
    */
@@ -0,0 +1,95 @@
+import { Hex } from './Hex.js';
+import { HexVertex, compareHexes } from './HexVertex.js';
+
+/**
+ * HexEdge - A hex side, identified by the two hexes it separates
+ * Hexes are stored in canonical (q, then r) order, so the same side always
+ * has the same key no matter which hex it was reached from
+ */
+export class HexEdge {
+  /**
+   * @param {Hex|{q, r}} a
+   * @param {Hex|{q, r}} b - Must be adjacent to a
+   */
+  constructor(a, b) {
+    const hexA = new Hex(a.q, a.r);
+    const hexB = new Hex(b.q, b.r);
+
+    if (hexA.distanceTo(hexB) !== 1) {
+      throw new Error(`Hexes (${a.q}, ${a.r}) and (${b.q}, ${b.r}) are not adjacent`);
+    }
+
+    [this.a, this.b] = compareHexes(hexA, hexB) <= 0 ? [hexA, hexB] : [hexB, hexA];
+  }
+
+  /**
+   * Get the edge between two adjacent hexes
+   */
+  static between(a, b) {
+    return new HexEdge(a, b);
+  }
+
+  /**
+   * Get unique key for this edge (for Map/Set usage), e.g. "0,0|1,0"
+   */
+  key() {
+    return `${this.a.key()}|${this.b.key()}`;
+  }
+
+  equals(other) {
+    return this.a.equals(other.a) && this.b.equals(other.b);
+  }
+
+  /**
+   * The two hexes on either side of this edge
+   */
+  hexes() {
+    return [this.a, this.b];
+  }
+
+  /**
+   * Direction (0-5, see Hex.neighbor) from a to b
+   */
+  direction() {
+    for (let i = 0; i < 6; i++) {
+      if (this.a.neighbor(i).equals(this.b)) return i;
+    }
+    return -1;
+  }
+
+  /**
+   * The two corners at the ends of this edge
+   * @returns {Array<HexVertex>}
+   */
+  vertices() {
+    const dir = this.direction();
+    return [
+      new HexVertex(this.a, this.b, this.a.neighbor((dir + 5) % 6)),
+      new HexVertex(this.a, this.b, this.a.neighbor((dir + 1) % 6))
+    ];
+  }
+
+  /**
+   * The four edges that share a corner with this edge
+   * @returns {Array<HexEdge>}
+   */
+  neighbors() {
+    return this.vertices().flatMap(vertex =>
+      vertex.edges().filter(edge => !edge.equals(this))
+    );
+  }
+
+  /**
+   * Serialize to JSON
+   */
+  serialize() {
+    return { a: this.a.serialize(), b: this.b.serialize() };
+  }
+
+  /**
+   * Deserialize from JSON
+   */
+  static deserialize(data) {
+    return new HexEdge(data.a, data.b);
+  }
+}
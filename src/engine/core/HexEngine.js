@@ -4,7 +4,16 @@ import { StateManager } from './StateManager.js';
 import { DebugOverlay } from '../../debug/DebugOverlay.js';
 import { EntityManager } from './EntityManager.js';
 import { RenderSystem } from '../systems/RenderSystem.js';
-import { PositionComponent, RenderableComponent } from './Components.js';
+import { VisibilitySystem } from '../systems/VisibilitySystem.js';
+import { SystemScheduler } from '../systems/SystemScheduler.js';
+import { HighlightLayer } from './HighlightLayer.js';
+import { TerrainRegistry } from './TerrainRegistry.js';
+import { EventEmitter } from './EventEmitter.js';
+import { InputController } from './InputController.js';
+import { Camera } from './Camera.js';
+import { Minimap } from './Minimap.js';
+import { ComponentRegistry } from './ComponentRegistry.js';
+import { PositionComponent } from './Components.js';
 
 /**
  * HexEngine - Main game engine class
@@ -19,6 +28,27 @@ export class HexEngine {
       gridWidth: config.gridWidth || 25,
       gridHeight: config.gridHeight || 25,
       backgroundColor: config.backgroundColor || 0x1a1a1a,
+      fogOfWar: config.fogOfWar || false,
+      viewerFaction: config.viewerFaction || null,
+      orientation: config.orientation || 'flat', // 'flat' or 'pointy' top hexes
+      mapShape: config.mapShape || 'parallelogram', // 'rectangle', 'hexagon', 'triangle', 'mask' or {type, ...}
+      mapSeed: config.mapSeed ?? null, // null = random seed
+      mapGenerator: config.mapGenerator || {}, // waterLevel, mountainFrequency, biomeWeights, noiseScale
+      terrainTypes: config.terrainTypes || [], // Extra terrain definitions (see TerrainRegistry)
+      terrainFile: config.terrainFile || null, // URL of a JSON file with terrain definitions
+      climbCost: config.climbCost ?? 1, // Extra movement cost per elevation level climbed
+      highGroundBonus: config.highGroundBonus ?? 1, // Bonus per elevation level above a target
+      hoverHighlight: config.hoverHighlight ?? true, // Outline the hex under the cursor
+      tapMaxDistance: config.tapMaxDistance ?? 6, // Pixels a press may move and still count as a tap
+      longPressDelay: config.longPressDelay ?? 500, // Milliseconds held still before a long-press
+      smoothZoom: config.smoothZoom ?? true, // Animate wheel zoom
+      panInertia: config.panInertia ?? true, // Keep coasting after a fast pan
+      cameraBounds: config.cameraBounds ?? true, // Keep part of the map on screen
+      cameraBoundsMargin: config.cameraBoundsMargin ?? 100, // Screen pixels of map kept visible
+      minimap: config.minimap ?? true, // Show the minimap panel
+      fixedTimestep: config.fixedTimestep ?? 1000 / 60, // Milliseconds per fixed simulation step
+      maxFixedSteps: config.maxFixedSteps ?? 5, // Fixed steps per frame before dropping time
+      maxPerHex: config.maxPerHex ?? Infinity, // Units allowed on one hex (terrain capacity may lower it)
       ...config
     };
 
@@ -28,28 +58,89 @@ export class HexEngine {
     this.isRunning = false;
 
     // Core systems
+    this.terrainRegistry = new TerrainRegistry(); // Built-in types; custom ones added in initialize()
     this.hexGrid = null;
     this.stateManager = new StateManager();
     this.debugOverlay = null;
-    this.entityManager = new EntityManager();
+    this.componentRegistry = new ComponentRegistry(); // Component classes by stable type id
+    this.entityManager = new EntityManager(this.componentRegistry);
+    this.entityManager.spatialIndex.setStackingRules({
+      maxPerHex: this.config.maxPerHex,
+      capacity: (hex) => this.getHexCapacity(hex)
+    });
     this.renderSystem = null; // Initialized after hexGrid
+    this.highlightLayer = null; // Initialized after hexGrid
+    this.visibilitySystem = null; // Initialized after hexGrid
+    this.minimap = null; // Initialized after hexGrid
+    this.systems = new SystemScheduler({
+      fixedStep: this.config.fixedTimestep,
+      maxFixedSteps: this.config.maxFixedSteps,
+      flush: () => this.entityManager.flushEvents() // Deliver entity events between systems
+    });
 
     // Performance tracking
     this.debugInfo = {
       unitCount: 0,
       visibleHexes: 0,
       totalHexes: 0,
+      visibleChunks: 0,
+      totalChunks: 0,
       drawCalls: 0,
       updateTime: 0
     };
 
     // Pan/zoom state
-    this.isDragging = false;
-    this.dragStart = { x: 0, y: 0 };
+    this.input = null; // InputController, created in setupInputHandlers
+    this.isDragging = false; // A drag is panning the camera
+    this.panEnabled = true;
     this.viewportPos = { x: 0, y: 0 };
     this.scale = 1;
     this.minScale = 0.5;
     this.maxScale = 3;
+    this.camera = new Camera(this, {
+      smoothZoom: this.config.smoothZoom,
+      panInertia: this.config.panInertia,
+      clampToBounds: this.config.cameraBounds,
+      boundsMargin: this.config.cameraBoundsMargin
+    });
+
+    // Culling state - recomputed only when the camera or chunk layout changes
+    this.lastCullingKey = null;
+
+    // Hex pointer events (see on()) and their state
+    this.events = new EventEmitter();
+    this.hoveredHex = null; // On-grid hex under the cursor
+    this.hoverEvent = null; // Last event of a cursor hovering the canvas, to re-hover when the map moves
+    this.hexDrag = null; // {pointerId, startHex, lastHex} while a non-panning drag is in progress
+  }
+
+  /**
+   * Subscribe to engine events
+   * Hex events: 'hexhover', 'hexout', 'hexclick', 'hexrightclick', 'hexlongpress',
+   * 'hexdragstart', 'hexdrag', 'hexdragend'
+   * Payload: {hex, terrain, hexData, entities, world, originalEvent} (see createHexEvent)
+   * Clicks are taps (see InputController), so drags never end in a click.
+   * Drag events fire for left-button/touch drags while panning is disabled (e.g. editor mode)
+   * Engine events: 'gridchange' {grid} after setHexGrid, 'staterestore' {state} after restoreState
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, listener) {
+    return this.events.on(event, listener);
+  }
+
+  /**
+   * Subscribe to the next occurrence of an engine event only
+   * @returns {Function} Unsubscribe function
+   */
+  once(event, listener) {
+    return this.events.once(event, listener);
+  }
+
+  /**
+   * Unsubscribe from engine events
+   */
+  off(event, listener) {
+    this.events.off(event, listener);
   }
 
   /**
@@ -82,20 +173,65 @@ export class HexEngine {
       this.viewportPos.y = this.config.height / 2;
       this.updateViewportTransform();
 
+      // Register custom terrain types before any grid refers to them
+      this.terrainRegistry.registerAll(this.config.terrainTypes);
+      if (this.config.terrainFile) {
+        await this.terrainRegistry.loadFromURL(this.config.terrainFile);
+      }
+      await this.terrainRegistry.loadTextures();
+
       // Initialize hex grid
       this.hexGrid = new HexGrid({
+        terrainRegistry: this.terrainRegistry,
         size: this.config.hexSize,
         width: this.config.gridWidth,
-        height: this.config.gridHeight
+        height: this.config.gridHeight,
+        orientation: this.config.orientation,
+        shape: this.config.mapShape,
+        climbCost: this.config.climbCost,
+        highGroundBonus: this.config.highGroundBonus,
+        generator: {
+          ...this.config.mapGenerator,
+          ...(this.config.mapSeed !== null && { seed: this.config.mapSeed })
+        }
+      });
+
+      // Initialize fog of war
+      this.visibilitySystem = new VisibilitySystem(this.entityManager, this.hexGrid, {
+        fogEnabled: this.config.fogOfWar,
+        viewerFaction: this.config.viewerFaction
+      });
+      // Redraw only the hexes whose visibility changed for the viewer
+      this.visibilitySystem.on('viewerchange', ({ changedKeys }) => {
+        if (!this.visibilitySystem.isFogActive()) return;
+        changedKeys.forEach(key => {
+          const [q, r] = key.split(',').map(Number);
+          this.hexGrid.markDirty(q, r);
+          this.minimap.markDirty(q, r);
+        });
       });
+      this.addSystem(this.visibilitySystem);
+      this.bindHexGrid();
 
       this.hexGrid.render();
       this.viewport.addChild(this.hexGrid.container);
 
+      // Initialize highlight overlay (movement range, etc.)
+      this.highlightLayer = new HighlightLayer(this.hexGrid);
+      this.viewport.addChild(this.highlightLayer.container);
+
       // Initialize render system
-      this.renderSystem = new RenderSystem(this.entityManager, this.hexGrid);
+      this.renderSystem = new RenderSystem(this.entityManager, this.hexGrid, this.visibilitySystem, {
+        after: ['visibility'] // Sprite visibility depends on current sight
+      });
+      this.addSystem(this.renderSystem);
       this.viewport.addChild(this.renderSystem.container);
 
+      // Initialize minimap (screen space, below the debug overlay)
+      this.minimap = new Minimap(this, { visible: this.config.minimap });
+      this.minimap.setHexGrid(this.hexGrid);
+      this.app.stage.addChild(this.minimap.container);
+
       // Initialize debug overlay
       this.debugOverlay = new DebugOverlay(this.app);
       this.app.stage.addChild(this.debugOverlay.container);
@@ -110,7 +246,7 @@ export class HexEngine {
       window.addEventListener('resize', () => this.handleResize());
 
       console.log('HexEngine initialized successfully');
-      console.log(`Grid: ${this.config.gridWidth}x${this.config.gridHeight} (${this.debugInfo.totalHexes} hexes)`);
+      console.log(`Grid: ${this.hexGrid.shape.type} ${this.config.gridWidth}x${this.config.gridHeight} (${this.debugInfo.totalHexes} hexes, seed ${this.hexGrid.generatorParams.seed})`);
 
       this.isRunning = true;
 
@@ -126,123 +262,257 @@ export class HexEngine {
   setupInputHandlers() {
     const canvas = this.app.canvas;
 
-    // Mouse wheel zoom
+    // Mouse wheel zoom toward the cursor
     canvas.addEventListener('wheel', (e) => {
       e.preventDefault();
 
-      const delta = -Math.sign(e.deltaY);
-      const zoomFactor = 0.1;
-      const newScale = Math.max(this.minScale, Math.min(this.maxScale, this.scale + delta * zoomFactor));
+      const rect = canvas.getBoundingClientRect();
+      const factor = e.deltaY < 0 ? 1.1 : 1 / 1.1;
+      this.camera.zoomBy(factor, e.clientX - rect.left, e.clientY - rect.top);
+      this.hoverEvent = e;
+      this.updateHover(e);
+    });
 
-      if (newScale !== this.scale) {
-        this.scale = newScale;
-        this.updateViewportTransform();
+    // Mouse, touch and pen go through one gesture classifier
+    this.input = new InputController(canvas, {
+      tapMaxDistance: this.config.tapMaxDistance,
+      longPressDelay: this.config.longPressDelay
+    });
+
+    this.input.on('hover', ({ event }) => {
+      this.hoverEvent = event;
+      this.updateHover(event);
+    });
+    this.input.on('leave', ({ event }) => this.clearHover(event, { reset: true }));
+
+    // Taps are clicks; drags and long-presses never produce one
+    this.input.on('tap', ({ pointer, event }) => {
+      const hex = this.screenToHex(event.clientX, event.clientY);
+      if (pointer.button === 0) {
+        this.emitHexEvent('hexclick', hex, event);
+      } else if (pointer.button === 2) {
+        this.emitHexEvent('hexrightclick', hex, event);
       }
     });
 
-    // Mouse drag to pan
-    canvas.addEventListener('mousedown', (e) => {
-      this.isDragging = true;
-      this.dragStart.x = e.clientX - this.viewportPos.x;
-      this.dragStart.y = e.clientY - this.viewportPos.y;
-      canvas.style.cursor = 'grabbing';
+    this.input.on('longpress', ({ pointer, event }) => {
+      if (pointer.button === 0) {
+        this.emitHexEvent('hexlongpress', this.screenToHex(pointer.x, pointer.y), event);
+      }
     });
 
-    canvas.addEventListener('mousemove', (e) => {
-      if (this.isDragging) {
-        this.viewportPos.x = e.clientX - this.dragStart.x;
-        this.viewportPos.y = e.clientY - this.dragStart.y;
-        this.updateViewportTransform();
+    // Drags pan the camera (middle button always, left button/touch while panEnabled)
+    // or otherwise drag across hexes
+    this.input.on('dragstart', ({ pointer, event }) => {
+      if (pointer.button === 1 || (pointer.button === 0 && this.panEnabled)) {
+        this.isDragging = true;
+        this.camera.grab();
+        this.clearHover(event);
+        canvas.style.cursor = 'grabbing';
+      } else if (pointer.button === 0 && !this.hexDrag) {
+        const startHex = this.screenToHex(pointer.startX, pointer.startY);
+        this.hexDrag = { pointerId: pointer.id, startHex, lastHex: startHex };
+        this.emitHexEvent('hexdragstart', startHex, event);
+      }
+    });
+
+    this.input.on('dragmove', ({ pointer, event, dx, dy }) => {
+      if (this.hexDrag && this.hexDrag.pointerId === pointer.id) {
+        this.updateHexDrag(event);
+      } else if (this.isDragging) {
+        this.camera.panBy(dx, dy);
       }
     });
 
-    canvas.addEventListener('mouseup', () => {
-      this.isDragging = false;
-      canvas.style.cursor = 'grab';
+    this.input.on('dragend', ({ pointer, event }) => {
+      if (this.hexDrag && this.hexDrag.pointerId === pointer.id) {
+        this.endHexDrag(event);
+      } else if (this.isDragging) {
+        this.isDragging = false;
+        this.camera.release();
+      }
+      canvas.style.cursor = this.panEnabled ? 'grab' : 'crosshair';
     });
 
-    canvas.addEventListener('mouseleave', () => {
-      this.isDragging = false;
-      canvas.style.cursor = 'default';
+    // Two-finger pinch zooms around the pinch center and pans with it
+    this.input.on('pinchstart', () => this.camera.stop());
+    this.input.on('pinch', ({ center, scale, dx, dy }) => {
+      const rect = canvas.getBoundingClientRect();
+      this.camera.zoomAt(this.scale * scale, center.x - rect.left, center.y - rect.top);
+      this.camera.panBy(dx, dy);
     });
+    this.input.on('pinchend', () => this.camera.stop());
+
+    // Right button taps are 'hexrightclick', not the browser menu
+    canvas.addEventListener('contextmenu', (e) => e.preventDefault());
 
     canvas.style.cursor = 'grab';
+  }
+
+  /**
+   * Build the payload for a hex event
+   * @param {Hex} hex
+   * @param {Event} originalEvent - DOM event that caused it
+   * @returns {{hex, terrain, hexData, entities: Array<number>, world, originalEvent}}
+   */
+  createHexEvent(hex, originalEvent = null) {
+    const hexData = this.hexGrid.getHex(hex.q, hex.r);
+    return {
+      hex: hexData.hex,
+      terrain: hexData.terrain,
+      hexData,
+      entities: this.getEntitiesAt(hex),
+      world: originalEvent ? this.screenToWorld(originalEvent.clientX, originalEvent.clientY) : this.hexGrid.hexToPixel(hex),
+      originalEvent
+    };
+  }
+
+  /**
+   * Emit a hex event if the hex is on the grid and anyone is listening
+   */
+  emitHexEvent(event, hex, originalEvent) {
+    if (!this.events.hasListeners(event) || !this.hexGrid.getHex(hex.q, hex.r)) return;
+    this.events.emit(event, this.createHexEvent(hex, originalEvent));
+  }
+
+  /**
+   * Track the hex under the cursor: emits 'hexout'/'hexhover' when it changes
+   * and moves the hover highlight
+   */
+  updateHover(e) {
+    const hex = this.screenToHex(e.clientX, e.clientY);
+    if (!this.hexGrid.getHex(hex.q, hex.r)) {
+      this.clearHover(e);
+      return;
+    }
+    if (this.hoveredHex && this.hoveredHex.equals(hex)) return;
 
-    // Hex click handler (for unit placement)
-    canvas.addEventListener('click', (e) => {
-      if (!this.isDragging && this.onHexClick) {
-        const rect = canvas.getBoundingClientRect();
-        const canvasX = e.clientX - rect.left;
-        const canvasY = e.clientY - rect.top;
+    this.clearHover(e);
+    this.hoveredHex = hex;
+    if (this.config.hoverHighlight) {
+      this.highlightLayer.setHighlight('hover', [hex], { color: 0xFFFFFF, alpha: 0.15 });
+    }
+    this.emitHexEvent('hexhover', hex, e);
+  }
 
-        // Convert to world coordinates
-        const worldX = (canvasX - this.viewportPos.x) / this.scale;
-        const worldY = (canvasY - this.viewportPos.y) / this.scale;
+  /**
+   * Re-check the hover under a still cursor after the camera moved the map
+   * (smooth zoom, inertia, animations); skipped while a pointer is pressed
+   */
+  refreshHover() {
+    const e = this.hoverEvent;
+    if (!e || this.input?.isPointerDown()) return;
+    this.updateHover(e);
+  }
 
-        // Get hex at position
-        const hex = this.hexGrid.pixelToHex(worldX, worldY);
-        const hexData = this.hexGrid.getHex(hex.q, hex.r);
+  /**
+   * Forget the hovered hex, emitting 'hexout'
+   * @param {Object} options - {reset: true} also stops re-hovering when the
+   *   camera moves (the cursor left the map or is over an overlay)
+   */
+  clearHover(e = null, { reset = false } = {}) {
+    if (reset) this.hoverEvent = null;
+    if (!this.hoveredHex) return;
+
+    const hex = this.hoveredHex;
+    this.hoveredHex = null;
+    this.highlightLayer.clearHighlight('hover');
+    this.emitHexEvent('hexout', hex, e);
+  }
 
-        if (hexData) {
-          this.onHexClick(hex);
-        }
-      }
-    });
+  /**
+   * Emit 'hexdrag' whenever a hex drag enters a new hex
+   */
+  updateHexDrag(e) {
+    const hex = this.screenToHex(e.clientX, e.clientY);
+    if (hex.equals(this.hexDrag.lastHex)) return;
 
-    // Touch support for mobile
-    let lastTouchDistance = 0;
+    this.hexDrag.lastHex = hex;
+    this.emitHexEvent('hexdrag', hex, e);
+  }
 
-    canvas.addEventListener('touchstart', (e) => {
-      if (e.touches.length === 1) {
-        this.isDragging = true;
-        this.dragStart.x = e.touches[0].clientX - this.viewportPos.x;
-        this.dragStart.y = e.touches[0].clientY - this.viewportPos.y;
-      } else if (e.touches.length === 2) {
-        const dx = e.touches[0].clientX - e.touches[1].clientX;
-        const dy = e.touches[0].clientY - e.touches[1].clientY;
-        lastTouchDistance = Math.sqrt(dx * dx + dy * dy);
-      }
-    });
+  /**
+   * Finish a hex drag, emitting 'hexdragend' on the last hex
+   */
+  endHexDrag(e) {
+    const drag = this.hexDrag;
+    this.hexDrag = null;
 
-    canvas.addEventListener('touchmove', (e) => {
-      e.preventDefault();
+    if (drag) {
+      this.emitHexEvent('hexdragend', drag.lastHex, e);
+    }
+  }
 
-      if (e.touches.length === 1 && this.isDragging) {
-        this.viewportPos.x = e.touches[0].clientX - this.dragStart.x;
-        this.viewportPos.y = e.touches[0].clientY - this.dragStart.y;
-        this.updateViewportTransform();
-      } else if (e.touches.length === 2) {
-        const dx = e.touches[0].clientX - e.touches[1].clientX;
-        const dy = e.touches[0].clientY - e.touches[1].clientY;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-
-        if (lastTouchDistance > 0) {
-          const delta = distance - lastTouchDistance;
-          const newScale = Math.max(this.minScale, Math.min(this.maxScale, this.scale + delta * 0.01));
-          if (newScale !== this.scale) {
-            this.scale = newScale;
-            this.updateViewportTransform();
-          }
-        }
+  /**
+   * Convert a client (page) position to grid pixel coordinates
+   * @returns {{x: number, y: number}}
+   */
+  screenToWorld(clientX, clientY) {
+    const rect = this.app.canvas.getBoundingClientRect();
+    const canvasX = clientX - rect.left;
+    const canvasY = clientY - rect.top;
 
-        lastTouchDistance = distance;
-      }
-    });
+    return {
+      x: (canvasX - this.viewportPos.x) / this.scale,
+      y: (canvasY - this.viewportPos.y) / this.scale
+    };
+  }
 
-    canvas.addEventListener('touchend', () => {
-      this.isDragging = false;
-      lastTouchDistance = 0;
-    });
+  /**
+   * Convert a client (page) position to the hex under it
+   * The hex may be off-grid; check with hexGrid.getHex
+   * @returns {Hex}
+   */
+  screenToHex(clientX, clientY) {
+    const world = this.screenToWorld(clientX, clientY);
+    return this.hexGrid.pixelToHex(world.x, world.y);
+  }
+
+  /**
+   * Enable or disable left-button/single-touch panning
+   * Tools that use drags themselves (e.g. the map editor) turn it off;
+   * middle-button drag still pans
+   */
+  setPanEnabled(enabled) {
+    this.panEnabled = enabled;
+    this.isDragging = false;
+    this.app.canvas.style.cursor = enabled ? 'grab' : 'crosshair';
   }
 
   /**
    * Update viewport transform (pan/zoom)
+   * viewportPos/scale are the source of truth; the Pixi container mirrors them
+   * (plus the camera's shake offset)
    */
   updateViewportTransform() {
-    this.viewport.position.set(this.viewportPos.x, this.viewportPos.y);
+    const shake = this.camera.shakeOffset;
+    this.viewport.position.set(this.viewportPos.x + shake.x, this.viewportPos.y + shake.y);
     this.viewport.scale.set(this.scale);
   }
 
+  /**
+   * Set camera position and zoom, keeping engine fields and the container in sync
+   * Stops camera animations; position is clamped to the camera bounds
+   * @param {{x: number, y: number, scale: number}} view - Scale is clamped to min/max
+   */
+  setViewport({ x, y, scale }) {
+    this.camera.stop();
+    if (Number.isFinite(x)) this.viewportPos.x = x;
+    if (Number.isFinite(y)) this.viewportPos.y = y;
+    if (Number.isFinite(scale)) {
+      this.scale = Math.max(this.minScale, Math.min(this.maxScale, scale));
+    }
+    this.camera.commit();
+  }
+
+  /**
+   * Get current camera position and zoom
+   * @returns {{x: number, y: number, scale: number}}
+   */
+  getViewport() {
+    return { x: this.viewportPos.x, y: this.viewportPos.y, scale: this.scale };
+  }
+
   /**
    * Handle window resize
    */
@@ -253,6 +523,8 @@ export class HexEngine {
     this.app.renderer.resize(width, height);
     this.config.width = width;
     this.config.height = height;
+    this.camera.commit(); // Bounds depend on the screen size
+    this.minimap.layout();
   }
 
   /**
@@ -264,22 +536,30 @@ export class HexEngine {
 
     const startTime = performance.now();
 
-    // Performance profiling: RenderSystem
-    const renderStart = performance.now();
-    this.renderSystem.update();
-    const renderTime = performance.now() - renderStart;
+    // Camera animations (smooth zoom, pan inertia)
+    this.camera.update(this.app.ticker.deltaMS);
+
+    // Systems: fixed-timestep simulation, then per-frame systems (fog of war, entity sprites)
+    this.systems.update(this.app.ticker.deltaMS);
+
+    // Redraw dirty grid chunks (terrain edits, fog changes)
+    this.hexGrid.update();
+
+    // Show only chunks inside the camera
+    this.updateCulling();
+
+    // Minimap repaints only what changed
+    this.minimap.update();
 
     // Update debug info
-    this.debugInfo.visibleHexes = this.hexGrid.getHexCount();
     this.debugInfo.unitCount = this.entityManager.getEntityCount();
 
     // Draw calls estimation (Pixi v8 doesn't expose this directly)
     this.debugInfo.drawCalls = this.viewport.children.length + this.renderSystem.container.children.length;
 
-    // System performance profiling
-    this.debugInfo.systemTimes = {
-      render: renderTime
-    };
+    // System performance profiling (timed by the scheduler, null = disabled)
+    this.debugInfo.systemTimes = this.systems.times;
+    this.debugInfo.fixedSteps = this.systems.fixedSteps;
 
     // Component inspector: Get entity component info
     this.debugInfo.entities = [];
@@ -297,6 +577,40 @@ export class HexEngine {
     this.debugInfo.updateTime = endTime - startTime;
   }
 
+  /**
+   * Get the area of the grid currently on screen, in grid pixel coordinates
+   * @returns {{left, right, top, bottom}}
+   */
+  getWorldBounds() {
+    return {
+      left: -this.viewportPos.x / this.scale,
+      top: -this.viewportPos.y / this.scale,
+      right: (this.config.width - this.viewportPos.x) / this.scale,
+      bottom: (this.config.height - this.viewportPos.y) / this.scale
+    };
+  }
+
+  /**
+   * Hide grid chunks outside the camera and refresh visible counts
+   * Skipped when neither the camera nor the chunk layout changed
+   */
+  updateCulling() {
+    const cullingKey = [
+      this.viewportPos.x, this.viewportPos.y, this.scale,
+      this.config.width, this.config.height, this.hexGrid.renderVersion
+    ].join('|');
+
+    if (cullingKey === this.lastCullingKey) return;
+    this.lastCullingKey = cullingKey;
+
+    const bounds = this.getWorldBounds();
+    const { visibleChunks, totalChunks } = this.hexGrid.updateCulling(bounds);
+
+    this.debugInfo.visibleChunks = visibleChunks;
+    this.debugInfo.totalChunks = totalChunks;
+    this.debugInfo.visibleHexes = this.hexGrid.getVisibleHexes(bounds).length;
+  }
+
   /**
    * Start the game loop
    */
@@ -312,14 +626,217 @@ export class HexEngine {
     this.isRunning = false;
   }
 
+  /**
+   * Register a system to run every frame (or every fixed step, see System)
+   * @param {System} system
+   * @returns {System}
+   */
+  addSystem(system) {
+    this.systems.add(system);
+    system.init(this);
+    return system;
+  }
+
+  /**
+   * Unregister and destroy a system
+   * @param {string} name
+   */
+  removeSystem(name) {
+    const system = this.systems.remove(name);
+    if (system) {
+      system.destroy();
+    }
+  }
+
+  /**
+   * Get a registered system by name
+   * @returns {System|null}
+   */
+  getSystem(name) {
+    return this.systems.get(name);
+  }
+
+  /**
+   * Enable or disable a registered system
+   */
+  setSystemEnabled(name, enabled) {
+    this.systems.setEnabled(name, enabled);
+  }
+
+  /**
+   * Hook the current grid up to engine systems
+   * Terrain edits can open or close sight lines, so they invalidate fog of war
+   */
+  bindHexGrid() {
+    this.hexGrid.setVisibilityProvider(hex => this.visibilitySystem.getViewerState(hex));
+    this.hexGrid.on('terrainchange', () => this.visibilitySystem.invalidate());
+    // A regenerated map is a new map: nothing on it has been explored yet
+    this.hexGrid.on('terrainreset', () => {
+      this.visibilitySystem.resetMemory();
+      this.hexGrid.markAllDirty();
+    });
+    this.hexGrid.on('elevationchange', () => this.visibilitySystem.invalidate());
+    this.hexGrid.on('featurechange', ({ feature }) => {
+      if (feature.blocksSight) this.visibilitySystem.invalidate();
+    });
+  }
+
+  /**
+   * Replace the hex grid and rewire everything that depends on it
+   * @param {HexGrid} hexGrid - New grid (rendered here)
+   * @param {Object} options - {keepOld: true} detaches the old grid instead of
+   *   destroying it, so it can be set again later (its listeners are dropped
+   *   and re-added when it comes back)
+   */
+  setHexGrid(hexGrid, { keepOld = false } = {}) {
+    const oldGrid = this.hexGrid;
+
+    this.hexGrid = hexGrid;
+    this.bindHexGrid();
+
+    this.visibilitySystem.setHexGrid(hexGrid);
+    this.visibilitySystem.update();
+    this.highlightLayer.setHexGrid(hexGrid);
+    this.renderSystem.setHexGrid(hexGrid);
+    this.minimap.setHexGrid(hexGrid);
+    this.hoveredHex = null; // Hover/drag hexes belonged to the old grid
+    this.hexDrag = null;
+
+    if (oldGrid) {
+      this.viewport.removeChild(oldGrid.container);
+      if (keepOld) {
+        oldGrid.events.clear();
+      } else {
+        oldGrid.destroy();
+      }
+    }
+    this.hexGrid.render();
+    this.viewport.addChild(this.hexGrid.container);
+
+    this.debugInfo.totalHexes = this.hexGrid.getHexCount();
+    this.lastCullingKey = null;
+    this.events.emit('gridchange', { grid: hexGrid });
+  }
+
+  /**
+   * Regenerate map terrain from a seed and generation parameters
+   * @param {Object} params - MapGenerator parameters, e.g. {seed, waterLevel}
+   */
+  regenerateMap(params = {}) {
+    this.hexGrid.regenerate(params);
+    this.highlightLayer.clear();
+    console.log(`Map regenerated with seed ${this.hexGrid.generatorParams.seed}`);
+  }
+
+  /**
+   * Configure fog of war and redraw the grid
+   * @param {boolean} enabled
+   * @param {string|null} viewerFaction - Faction whose view is rendered
+   */
+  setFogOfWar(enabled, viewerFaction = this.visibilitySystem.viewerFaction) {
+    this.visibilitySystem.setFogEnabled(enabled);
+    this.visibilitySystem.setViewerFaction(viewerFaction);
+    this.visibilitySystem.update();
+    this.hexGrid.markAllDirty();
+    this.minimap.markAllDirty();
+  }
+
+  /**
+   * Get the ids of all entities standing on a hex
+   * @returns {Array<number>}
+   */
+  getEntitiesAt(hex) {
+    return this.entityManager.spatialIndex.entitiesAt(hex);
+  }
+
+  /**
+   * Get keys of all hexes that hold an entity
+   * Pass as `blocked` to hexGrid.findPath to route around units
+   * @param {number} excludeEntityId - Entity to ignore (e.g. the unit that is moving)
+   * @returns {Set<string>}
+   */
+  getOccupiedHexes(excludeEntityId = null) {
+    return this.entityManager.spatialIndex.occupiedKeys(excludeEntityId);
+  }
+
+  /**
+   * How many units a hex can hold under the terrain's own limit
+   * Off-grid and impassable hexes hold none; the global maxPerHex applies on top
+   * @returns {number|null} null if the terrain sets no limit
+   */
+  getHexCapacity(hex) {
+    const data = this.hexGrid?.getHex(hex.q, hex.r);
+    if (!data || !data.terrain.passable) return 0;
+    return data.terrain.capacity;
+  }
+
+  /**
+   * Check the stacking rules for placing an entity on a hex
+   * @param {number} entityId - Entity being moved, if any (it doesn't crowd its own hex)
+   * @returns {boolean}
+   */
+  canPlaceEntity(hex, entityId = null) {
+    return this.entityManager.spatialIndex.canPlace(hex, entityId);
+  }
+
+  /**
+   * Move an entity to a hex if the stacking rules allow it
+   * @returns {boolean} false if the hex is full, off-grid or impassable
+   */
+  moveEntity(entityId, hex) {
+    if (!this.canPlaceEntity(hex, entityId)) return false;
+    this.entityManager.moveEntity(entityId, hex);
+    return true;
+  }
+
+  /**
+   * Get hexes an entity can reach with the given movement budget
+   * Other units block movement; the entity's own hex does not
+   * @param {number} entityId
+   * @param {number} budget - Movement points available
+   * @returns {Map<string, {hex: Hex, cost: number}>}
+   */
+  getMovementRange(entityId, budget) {
+    const position = this.entityManager.getComponent(entityId, PositionComponent);
+    if (!position) {
+      return new Map();
+    }
+
+    return this.hexGrid.getReachable(position, budget, {
+      blocked: this.getOccupiedHexes(entityId)
+    });
+  }
+
+  /**
+   * Highlight the hexes an entity can reach
+   * @param {number} entityId
+   * @param {number} budget - Movement points available
+   * @returns {Map<string, {hex: Hex, cost: number}>}
+   */
+  showMovementRange(entityId, budget) {
+    const reachable = this.getMovementRange(entityId, budget);
+    const hexes = Array.from(reachable.values(), entry => entry.hex);
+
+    this.highlightLayer.setHighlight('movement', hexes, { color: 0x00BCD4, alpha: 0.3 });
+    return reachable;
+  }
+
+  /**
+   * Clear the movement range highlight
+   */
+  clearMovementRange() {
+    this.highlightLayer.clearHighlight('movement');
+  }
+
   /**
    * Export current state
    */
   exportState() {
     const state = this.stateManager.captureState({
       hexGrid: this.hexGrid,
-      viewport: this.viewport,
-      entityManager: this.entityManager
+      viewport: this.getViewport(),
+      entityManager: this.entityManager,
+      visibilitySystem: this.visibilitySystem
     });
 
     this.stateManager.exportState(state);
@@ -331,16 +848,24 @@ export class HexEngine {
    * @param {Object} state - State object to restore
    */
   restoreState(state) {
-    const componentRegistry = {
-      PositionComponent,
-      RenderableComponent
-    };
+    // Rebuild the grid first so entities and fog land on the saved map
+    if (state.grid) {
+      this.setHexGrid(HexGrid.deserialize(state.grid, this.terrainRegistry));
+    }
 
     this.stateManager.restoreState(state, {
       entityManager: this.entityManager,
       hexGrid: this.hexGrid,
-      viewport: this.viewport
-    }, componentRegistry);
+      viewport: this.viewport,
+      visibilitySystem: this.visibilitySystem,
+      setViewport: (view) => this.setViewport(view)
+    }, this.componentRegistry);
+
+    // Redraw fog from the restored explored memory
+    this.visibilitySystem.update();
+    this.hexGrid.markAllDirty();
+    this.minimap.markAllDirty();
+    this.events.emit('staterestore', { state });
 
     console.log('State restored successfully');
   }
@@ -360,6 +885,14 @@ export class HexEngine {
    */
   destroy() {
     this.isRunning = false;
+    if (this.input) {
+      this.input.destroy();
+    }
+    if (this.minimap) {
+      this.minimap.destroy();
+    }
+    // Systems release their display objects and listeners before the app goes
+    this.systems.list().forEach(system => system.destroy());
     if (this.app) {
       this.app.destroy(true, { children: true, texture: true });
     }
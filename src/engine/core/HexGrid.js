@@ -1,9 +1,75 @@
 import * as PIXI from 'pixi.js';
-import { Hex } from './Hex.js';
+import { Hex, OffsetType } from './Hex.js';
+import { HexEdge } from './HexEdge.js';
+import { HexVertex } from './HexVertex.js';
+import { PriorityQueue } from './PriorityQueue.js';
+import { VisibilityState } from './VisibilityState.js';
+import { MapGenerator } from './MapGenerator.js';
+import { normalizeShape, generateShapeHexes } from './MapShapes.js';
+import { EventEmitter } from './EventEmitter.js';
+import { TerrainRegistry } from './TerrainRegistry.js';
+
+// Fill for hexes no one has explored yet (terrain unknown)
+const UNEXPLORED_COLOR = 0x0A0A0A;
+
+/**
+ * Scale a 0xRRGGBB color's brightness by a factor
+ */
+function shadeColor(color, factor) {
+  const r = Math.min(255, Math.round(((color >> 16) & 0xFF) * factor));
+  const g = Math.min(255, Math.round(((color >> 8) & 0xFF) * factor));
+  const b = Math.min(255, Math.round((color & 0xFF) * factor));
+  return (r << 16) | (g << 8) | b;
+}
+
+/**
+ * Check whether two {left, right, top, bottom} rectangles overlap
+ */
+function boundsIntersect(a, b) {
+  return a.left <= b.right && a.right >= b.left && a.top <= b.bottom && a.bottom >= b.top;
+}
+
+/**
+ * Index of the point closest to (x, y)
+ */
+function nearestIndex(points, x, y) {
+  let best = 0;
+  let bestDistance = Infinity;
+  points.forEach((p, i) => {
+    const distance = (p.x - x) ** 2 + (p.y - y) ** 2;
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      best = i;
+    }
+  });
+  return best;
+}
+
+/**
+ * Hex layout orientations (forward/backward matrices + corner start angle)
+ */
+export const Orientation = {
+  FLAT: {
+    name: 'flat',
+    f0: 3/2, f1: 0,
+    f2: Math.sqrt(3)/2, f3: Math.sqrt(3),
+    b0: 2/3, b1: 0,
+    b2: -1/3, b3: Math.sqrt(3)/3,
+    startAngle: 0
+  },
+  POINTY: {
+    name: 'pointy',
+    f0: Math.sqrt(3), f1: Math.sqrt(3)/2,
+    f2: 0, f3: 3/2,
+    b0: Math.sqrt(3)/3, b1: -1/3,
+    b2: 0, b3: 2/3,
+    startAngle: 0.5
+  }
+};
 
 /**
  * HexGrid manages the hexagonal grid layout and rendering
- * Uses flat-top hexagon orientation
+ * Supports flat-top (default) and pointy-top orientations
  */
 export class HexGrid {
   constructor(config = {}) {
@@ -11,55 +77,154 @@ export class HexGrid {
     this.width = config.width || 20; // Grid width in hexes
     this.height = config.height || 20; // Grid height in hexes
 
-    // Hex layout constants (flat-top orientation)
+    // Map shape (see MapShapes); defaults to the q/r parallelogram
+    this.shape = normalizeShape(config.shape || 'parallelogram', this.width, this.height);
+
+    // Procedural generation parameters (see MapGenerator); random seed if none given
+    this.generatorParams = {
+      ...config.generator,
+      seed: config.generator?.seed ?? Math.floor(Math.random() * 0x7FFFFFFF)
+    };
+
+    // Hex layout constants
+    this.orientation = config.orientation === 'pointy' ? 'pointy' : 'flat';
     this.layout = {
-      orientation: {
-        f0: 3/2, f1: 0,
-        f2: Math.sqrt(3)/2, f3: Math.sqrt(3),
-        b0: 2/3, b1: 0,
-        b2: -1/3, b3: Math.sqrt(3)/3,
-        startAngle: 0
-      },
+      orientation: this.orientation === 'pointy' ? Orientation.POINTY : Orientation.FLAT,
       size: this.size,
       origin: { x: 0, y: 0 }
     };
 
-    // Terrain types
-    this.terrainTypes = {
-      GRASS: { color: 0x4CAF50, name: 'grass', cost: 1 },
-      WATER: { color: 0x2196F3, name: 'water', cost: 2 },
-      MOUNTAIN: { color: 0x9E9E9E, name: 'mountain', cost: 3 },
-      DESERT: { color: 0xFFEB3B, name: 'desert', cost: 1 },
-      FOREST: { color: 0x1B5E20, name: 'forest', cost: 2 }
-    };
+    // Terrain types (see TerrainRegistry); built-in types if none given
+    this.terrainRegistry = config.terrainRegistry || new TerrainRegistry();
+
+    // Elevation rules: extra step cost per level climbed, bonus per level of high ground
+    this.climbCost = config.climbCost ?? 1;
+    this.highGroundBonus = config.highGroundBonus ?? 1;
+    this.showRelief = config.showRelief ?? true; // Shade hexes by slope and outline height changes
 
     // Store hex data
-    this.hexes = new Map(); // key -> {hex, terrain, sprite}
+    this.hexes = new Map(); // key -> {hex, terrain, elevation, chunkKey}
     this.container = new PIXI.Container();
+    this.visibilityProvider = null; // (hex) => VisibilityState, for fog of war
 
-    this.initializeGrid();
+    // Rendering is split into chunks so a terrain change only redraws its chunk
+    this.chunkSize = config.chunkSize || 8; // Approximate chunk edge length in hexes
+    this.chunks = new Map(); // chunkKey -> {key, graphics, hexKeys: Array<string>}
+    this.dirtyChunks = new Set(); // chunkKeys to redraw on next update()
+    this.renderVersion = 0; // Bumped on every full render (chunk layout may have changed)
+
+    // Features on hex sides and corners (rivers, walls, roads, ...), types from the terrain registry
+    this.edgeFeatures = new Map(); // edgeKey -> {edge: HexEdge, features: Array<featureType>}
+    this.vertexFeatures = new Map(); // vertexKey -> {vertex: HexVertex, features: Array<featureType>}
+    this.featureGraphics = null; // Drawn above the terrain chunks
+    this.featuresDirty = false;
+
+    // Events: 'terrainchange' {hex, terrain, previous}, 'terrainreset' {grid} (whole map regenerated),
+    // 'elevationchange' {hex, elevation, previous}, 'featurechange' {edge|vertex, feature, added}
+    this.events = new EventEmitter();
+
+    if (config.hexData) {
+      this.loadHexData(config.hexData);
+    } else {
+      this.initializeGrid();
+    }
+    this.loadFeatureData(config.edgeData || [], config.vertexData || []);
   }
 
   /**
    * Initialize grid with hexes
+   * Terrain comes from the seeded MapGenerator, so the same seed and
+   * parameters always produce the same map
    */
   initializeGrid() {
-    const terrainKeys = Object.keys(this.terrainTypes);
-
-    for (let q = 0; q < this.width; q++) {
-      for (let r = 0; r < this.height; r++) {
-        const hex = new Hex(q, r);
-        // Random terrain for now
-        const terrainKey = terrainKeys[Math.floor(Math.random() * terrainKeys.length)];
-        const terrain = this.terrainTypes[terrainKey];
-
-        this.hexes.set(hex.key(), {
-          hex,
-          terrain,
-          sprite: null // Will be created during rendering
-        });
+    const defaultTerrain = this.terrainRegistry.get('grass') || this.terrainRegistry.list()[0];
+
+    generateShapeHexes(this.shape, this.orientation).forEach(hex => {
+      this.hexes.set(hex.key(), {
+        hex,
+        terrain: defaultTerrain,
+        elevation: 0,
+        chunkKey: null // Assigned during rendering
+      });
+    });
+
+    this.generateTerrain();
+  }
+
+  /**
+   * Populate hexes from serialized hex data instead of generating them
+   * @param {Array<{hex: {q, r}, terrain: string, elevation?: number}>} hexData - terrain is a terrain id
+   */
+  loadHexData(hexData) {
+    hexData.forEach(({ hex, terrain, elevation }) => {
+      const terrainType = this.getTerrain(terrain);
+      if (!terrainType) {
+        throw new Error(
+          `Unknown terrain "${terrain}" at (${hex.q}, ${hex.r}) ` +
+          `(registered: ${this.terrainRegistry.ids().join(', ')})`
+        );
       }
-    }
+
+      const restored = Hex.deserialize(hex);
+      this.hexes.set(restored.key(), {
+        hex: restored,
+        terrain: terrainType,
+        elevation: elevation ?? 0, // Saves from before elevation are flat
+        chunkKey: null
+      });
+    });
+  }
+
+  /**
+   * Restore edge and vertex features from serialized data
+   * @param {Array<{edge: {a, b}, features: Array<string>}>} edgeData
+   * @param {Array<{vertex: {a, b, c}, features: Array<string>}>} vertexData
+   */
+  loadFeatureData(edgeData, vertexData) {
+    edgeData.forEach(({ edge, features }) => {
+      const restored = HexEdge.deserialize(edge);
+      features.forEach(id => this.addEdgeFeature(restored, id));
+    });
+    vertexData.forEach(({ vertex, features }) => {
+      const restored = HexVertex.deserialize(vertex);
+      features.forEach(id => this.addVertexFeature(restored, id));
+    });
+  }
+
+  /**
+   * Run the map generator over all hexes
+   */
+  generateTerrain() {
+    this.generator = new MapGenerator(this.generatorParams);
+    this.generator.generate(this);
+    this.generatorParams = this.generator.serialize();
+  }
+
+  /**
+   * Regenerate terrain with new parameters (merged into the current ones) and redraw
+   * @param {Object} params - MapGenerator parameters, e.g. {seed}
+   */
+  regenerate(params = {}) {
+    this.generatorParams = { ...this.generatorParams, ...params };
+    this.generateTerrain();
+    this.render();
+    this.events.emit('terrainreset', { grid: this });
+  }
+
+  /**
+   * Look up a terrain type by its id (e.g. 'water')
+   * @returns {Object|null}
+   */
+  getTerrain(id) {
+    return this.terrainRegistry.get(id);
+  }
+
+  /**
+   * Defense bonus of the terrain at a hex (0 if off-grid)
+   */
+  getDefenseBonus(hex) {
+    const data = this.getHex(hex.q, hex.r);
+    return data ? data.terrain.defense : 0;
   }
 
   /**
@@ -91,6 +256,59 @@ export class HexGrid {
     return Hex.round(q, r);
   }
 
+  /**
+   * Offset coordinate system matching this grid's orientation
+   * (odd-q for flat-top, odd-r for pointy-top, as used by rectangle maps)
+   */
+  getOffsetType() {
+    return this.orientation === 'pointy' ? OffsetType.ODD_R : OffsetType.ODD_Q;
+  }
+
+  /**
+   * Get hex data at offset coordinates in this grid's offset system
+   */
+  getHexAtOffset(col, row) {
+    const hex = Hex.fromOffset(col, row, this.getOffsetType());
+    return this.getHex(hex.q, hex.r);
+  }
+
+  /**
+   * Get the pixel position of a hex corner
+   * (the average of the three hex centers meeting there, for either orientation)
+   */
+  vertexToPixel(vertex) {
+    const points = vertex.hexes().map(hex => this.hexToPixel(hex));
+    return {
+      x: (points[0].x + points[1].x + points[2].x) / 3,
+      y: (points[0].y + points[1].y + points[2].y) / 3
+    };
+  }
+
+  /**
+   * Get the two pixel endpoints of a hex side
+   */
+  getEdgeEndpoints(edge) {
+    return edge.vertices().map(vertex => this.vertexToPixel(vertex));
+  }
+
+  /**
+   * Get the hex side nearest to a pixel position
+   * @returns {HexEdge}
+   */
+  pixelToEdge(x, y) {
+    const hex = this.pixelToHex(x, y);
+    return hex.edge(nearestIndex(hex.neighbors().map(n => this.hexToPixel(n)), x, y));
+  }
+
+  /**
+   * Get the hex corner nearest to a pixel position
+   * @returns {HexVertex}
+   */
+  pixelToVertex(x, y) {
+    const hex = this.pixelToHex(x, y);
+    return hex.vertex(nearestIndex(hex.vertices().map(v => this.vertexToPixel(v)), x, y));
+  }
+
   /**
    * Get hex corners for drawing
    */
@@ -112,39 +330,299 @@ export class HexGrid {
 
   /**
    * Render all hexes to the container
-   * Performance: Uses Graphics for better batching
+   * Rebuilds every chunk; use setTerrain/markDirty + update() for incremental changes
+   * Performance: One Graphics per chunk keeps batching while allowing partial redraws
    */
   render() {
     // Clear existing graphics
-    this.container.removeChildren();
-
-    // Create single graphics object for all hexes (better performance)
-    const graphics = new PIXI.Graphics();
+    this.container.removeChildren().forEach(child => child.destroy());
+    this.chunks.clear();
+    this.dirtyChunks.clear();
 
+    // Assign hexes to chunks by pixel position (works for any shape/orientation)
     this.hexes.forEach((data, key) => {
-      const { hex, terrain } = data;
-      const corners = this.getHexCorners(hex);
+      const chunkKey = this.getChunkKey(data.hex);
+      data.chunkKey = chunkKey;
+
+      if (!this.chunks.has(chunkKey)) {
+        const graphics = new PIXI.Graphics();
+        const bounds = { left: Infinity, right: -Infinity, top: Infinity, bottom: -Infinity };
+        this.chunks.set(chunkKey, { key: chunkKey, graphics, hexKeys: [], bounds });
+        this.container.addChild(graphics);
+      }
 
-      // Draw filled hex
-      graphics.fill({ color: terrain.color, alpha: 0.8 });
-      graphics.moveTo(corners[0].x, corners[0].y);
+      // Grow chunk bounds to cover the whole hex
+      const chunk = this.chunks.get(chunkKey);
+      const pos = this.hexToPixel(data.hex);
+      chunk.hexKeys.push(key);
+      chunk.bounds.left = Math.min(chunk.bounds.left, pos.x - this.size);
+      chunk.bounds.right = Math.max(chunk.bounds.right, pos.x + this.size);
+      chunk.bounds.top = Math.min(chunk.bounds.top, pos.y - this.size);
+      chunk.bounds.bottom = Math.max(chunk.bounds.bottom, pos.y + this.size);
+    });
+
+    this.chunks.forEach(chunk => this.drawChunk(chunk));
+
+    // Features go on top of all chunks
+    this.featureGraphics = new PIXI.Graphics();
+    this.container.addChild(this.featureGraphics);
+    this.drawFeatures();
+
+    this.renderVersion++;
+  }
 
-      for (let i = 1; i < corners.length; i++) {
-        graphics.lineTo(corners[i].x, corners[i].y);
+  /**
+   * Show only chunks that intersect the given world-space bounds
+   * @param {{left, right, top, bottom}} bounds - Visible area in grid pixel coordinates
+   * @returns {{visibleChunks: number, totalChunks: number}}
+   */
+  updateCulling(bounds) {
+    let visibleChunks = 0;
+
+    this.chunks.forEach(chunk => {
+      chunk.graphics.visible = boundsIntersect(chunk.bounds, bounds);
+      if (chunk.graphics.visible) visibleChunks++;
+    });
+
+    return { visibleChunks, totalChunks: this.chunks.size };
+  }
+
+  /**
+   * Redraw chunks that changed since the last update
+   * Called every frame by the engine
+   * @returns {number} Number of chunks redrawn
+   */
+  update() {
+    if (this.featuresDirty && this.featureGraphics) {
+      this.drawFeatures();
+    }
+
+    if (this.dirtyChunks.size === 0) return 0;
+
+    let redrawn = 0;
+    this.dirtyChunks.forEach(chunkKey => {
+      const chunk = this.chunks.get(chunkKey);
+      if (chunk) {
+        this.drawChunk(chunk);
+        redrawn++;
       }
-      graphics.closePath();
+    });
+    this.dirtyChunks.clear();
+
+    return redrawn;
+  }
+
+  /**
+   * Draw all hexes of a chunk into its Graphics
+   */
+  drawChunk(chunk) {
+    chunk.graphics.clear();
+    chunk.hexKeys.forEach(key => {
+      this.drawHex(chunk.graphics, this.hexes.get(key));
+    });
+
+    // Outlines after all fills so neighboring hexes don't cover them
+    if (this.showRelief) {
+      chunk.hexKeys.forEach(key => {
+        this.drawElevationOutline(chunk.graphics, this.hexes.get(key));
+      });
+    }
+  }
+
+  /**
+   * Draw all edge and vertex features into the feature layer
+   * Features are hidden while all hexes they touch are unexplored
+   */
+  drawFeatures() {
+    const graphics = this.featureGraphics;
+    graphics.clear();
+    this.featuresDirty = false;
+
+    const isVisible = (hexes) => !this.visibilityProvider ||
+      hexes.some(hex => this.visibilityProvider(hex) !== VisibilityState.UNEXPLORED);
+
+    // Center-to-center links (roads) first so side features draw over them
+    ['link', 'side'].forEach(style => {
+      this.edgeFeatures.forEach(({ edge, features }) => {
+        if (!isVisible(edge.hexes())) return;
+
+        features.filter(feature => feature.style === style).forEach(feature => {
+          const [from, to] = style === 'link'
+            ? edge.hexes().map(hex => this.hexToPixel(hex))
+            : this.getEdgeEndpoints(edge);
 
-      // Draw outline
+          graphics.moveTo(from.x, from.y);
+          graphics.lineTo(to.x, to.y);
+          graphics.stroke({ width: feature.width, color: feature.color, cap: 'round' });
+        });
+      });
+    });
+
+    this.vertexFeatures.forEach(({ vertex, features }) => {
+      if (!isVisible(vertex.hexes())) return;
+
+      const pos = this.vertexToPixel(vertex);
+      features.forEach(feature => {
+        graphics.circle(pos.x, pos.y, feature.radius);
+        graphics.fill({ color: feature.color });
+        graphics.stroke({ width: 1, color: 0x000000, alpha: 0.5 });
+      });
+    });
+  }
+
+  /**
+   * Get the chunk a hex belongs to
+   */
+  getChunkKey(hex) {
+    const chunkPixels = this.size * this.chunkSize * Math.sqrt(3);
+    const pos = this.hexToPixel(hex);
+    return `${Math.floor(pos.x / chunkPixels)},${Math.floor(pos.y / chunkPixels)}`;
+  }
+
+  /**
+   * Mark a hex for redraw on the next update()
+   */
+  markDirty(q, r) {
+    const data = this.getHex(q, r);
+    if (data && data.chunkKey !== null) {
+      this.dirtyChunks.add(data.chunkKey);
+    }
+    if (this.edgeFeatures.size > 0 || this.vertexFeatures.size > 0) {
+      this.featuresDirty = true; // Fog may have revealed or hidden features
+    }
+  }
+
+  /**
+   * Mark every chunk for redraw on the next update()
+   */
+  markAllDirty() {
+    this.chunks.forEach((chunk, chunkKey) => this.dirtyChunks.add(chunkKey));
+    this.featuresDirty = true;
+  }
+
+  /**
+   * Subscribe to grid events ('terrainchange', 'terrainreset', 'featurechange')
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, listener) {
+    return this.events.on(event, listener);
+  }
+
+  /**
+   * Unsubscribe from grid events
+   */
+  off(event, listener) {
+    this.events.off(event, listener);
+  }
+
+  /**
+   * Draw a single hex (fill + outline) into a Graphics object
+   * Applies fog of war if a visibility provider is set
+   */
+  drawHex(graphics, data) {
+    const { hex, terrain } = data;
+    const points = this.getHexCorners(hex).flatMap(c => [c.x, c.y]);
+    const shade = this.getDisplayShade(data);
+
+    if (shade === null) {
+      // Unexplored: dark silhouette, terrain unknown
+      graphics.poly(points);
+      graphics.fill({ color: UNEXPLORED_COLOR, alpha: 1 });
       graphics.stroke({ width: 1, color: 0x000000, alpha: 0.3 });
-      graphics.moveTo(corners[0].x, corners[0].y);
+      return;
+    }
 
-      for (let i = 1; i < corners.length; i++) {
-        graphics.lineTo(corners[i].x, corners[i].y);
-      }
-      graphics.closePath();
+    graphics.poly(points);
+    if (terrain.textureObject) {
+      // Textured terrain is tinted rather than colored
+      graphics.fill({ texture: terrain.textureObject, color: shadeColor(0xFFFFFF, shade), alpha: 0.8 });
+    } else {
+      graphics.fill({ color: shadeColor(terrain.color, shade), alpha: 0.8 });
+    }
+    graphics.stroke({ width: 1, color: 0x000000, alpha: 0.3 });
+  }
+
+  /**
+   * Brightness factor a hex is drawn with: fog of war dimming and relief shading
+   * @returns {number|null} null while the hex is unexplored
+   */
+  getDisplayShade(data) {
+    const visibility = this.visibilityProvider
+      ? this.visibilityProvider(data.hex)
+      : VisibilityState.VISIBLE;
+
+    if (visibility === VisibilityState.UNEXPLORED) {
+      return null;
+    }
+
+    // Explored but out of sight: remembered terrain, dimmed
+    const dim = visibility === VisibilityState.EXPLORED ? 0.4 : 1;
+    return dim * (this.showRelief ? this.getReliefShade(data) : 1);
+  }
+
+  /**
+   * Flat color of a hex as displayed (terrain color with getDisplayShade applied)
+   * @returns {number} 0xRRGGBB
+   */
+  getDisplayColor(data) {
+    const shade = this.getDisplayShade(data);
+    return shade === null ? UNEXPLORED_COLOR : shadeColor(data.terrain.color, shade);
+  }
+
+  /**
+   * Brightness factor for a hex from its elevation and slope
+   * Slopes facing the light (top-left) are brighter, higher ground slightly lighter
+   */
+  getReliefShade(data) {
+    const center = this.hexToPixel(data.hex);
+    let gx = 0;
+    let gy = 0;
+
+    // Elevation gradient from the height differences to each neighbor
+    data.hex.neighbors().forEach(next => {
+      const neighbor = this.getHex(next.q, next.r);
+      if (!neighbor) return;
+
+      const pos = this.hexToPixel(next);
+      const diff = neighbor.elevation - data.elevation;
+      gx += diff * (pos.x - center.x) / this.size;
+      gy += diff * (pos.y - center.y) / this.size;
+    });
+
+    // Rising away from the light (gradient pointing down-right) faces the light
+    const facing = (gx + gy) / Math.SQRT2;
+    const shade = 1 + facing * 0.06 + data.elevation * 0.03;
+    return Math.max(0.6, Math.min(1.35, shade));
+  }
+
+  /**
+   * Outline the sides where this hex drops to lower ground
+   * Thicker lines for bigger drops, so height changes read like contours
+   */
+  drawElevationOutline(graphics, data) {
+    if (this.visibilityProvider && this.visibilityProvider(data.hex) === VisibilityState.UNEXPLORED) {
+      return;
+    }
+
+    data.hex.edges().forEach((edge, dir) => {
+      const next = data.hex.neighbor(dir);
+      const neighbor = this.getHex(next.q, next.r);
+      if (!neighbor || neighbor.elevation >= data.elevation) return;
+
+      const drop = data.elevation - neighbor.elevation;
+      const [from, to] = this.getEdgeEndpoints(edge);
+      graphics.moveTo(from.x, from.y);
+      graphics.lineTo(to.x, to.y);
+      graphics.stroke({ width: Math.min(1 + drop, 4), color: 0x000000, alpha: 0.45 });
     });
+  }
 
-    this.container.addChild(graphics);
+  /**
+   * Set a function (hex) => VisibilityState used to apply fog of war when rendering
+   * Pass null to render everything as visible
+   */
+  setVisibilityProvider(provider) {
+    this.visibilityProvider = provider;
   }
 
   /**
@@ -155,20 +633,461 @@ export class HexGrid {
     return this.hexes.get(key);
   }
 
+  /**
+   * Get the elevation of a hex (0 if off-grid)
+   */
+  getElevation(hex) {
+    const data = this.getHex(hex.q, hex.r);
+    return data ? data.elevation : 0;
+  }
+
+  /**
+   * Change the elevation of a single hex
+   * Marks the hex and its neighbors dirty (their shading depends on it) and emits 'elevationchange'
+   * @returns {number|null} Previous elevation, or null if the hex doesn't exist
+   */
+  setElevation(q, r, elevation) {
+    const data = this.getHex(q, r);
+    if (!data) return null;
+
+    const previous = data.elevation;
+    if (previous === elevation) return previous;
+
+    data.elevation = elevation;
+    this.markDirty(q, r);
+    data.hex.neighbors().forEach(next => this.markDirty(next.q, next.r));
+    this.events.emit('elevationchange', { hex: data.hex, elevation, previous });
+
+    return previous;
+  }
+
+  /**
+   * Height difference from one hex to another (positive = target is higher)
+   */
+  getElevationDifference(from, to) {
+    return this.getElevation(to) - this.getElevation(from);
+  }
+
+  /**
+   * Combat bonus for attacking from higher ground
+   * @returns {number} highGroundBonus per level the attacker stands above the target (0 if not above)
+   */
+  getHighGroundBonus(attacker, target) {
+    return Math.max(0, -this.getElevationDifference(attacker, target)) * this.highGroundBonus;
+  }
+
+  /**
+   * Get the cost of stepping from one hex onto an adjacent hex
+   * Terrain cost of the destination, replaced by an edge feature's movementCost
+   * (roads) plus any crossingCost (rivers) of the side being crossed, plus
+   * climbCost per elevation level climbed (descending is free)
+   * Returns Infinity if the destination is off-grid or impassable, or the side is blocked (walls)
+   */
+  getMovementCost(from, to) {
+    const data = this.getHex(to.q, to.r);
+    if (!data || data.terrain.passable === false) {
+      return Infinity;
+    }
+
+    const fromData = this.getHex(from.q, from.r);
+    const climb = fromData && data.elevation > fromData.elevation
+      ? (data.elevation - fromData.elevation) * this.climbCost
+      : 0;
+
+    const entry = this.edgeFeatures.size > 0 ? this.edgeFeatures.get(HexEdge.between(from, to).key()) : null;
+    if (!entry) {
+      return data.terrain.cost + climb;
+    }
+
+    let cost = data.terrain.cost + climb;
+    let crossing = 0;
+    for (const feature of entry.features) {
+      if (feature.blocksMovement) return Infinity;
+      if (feature.movementCost !== null) cost = Math.min(cost, feature.movementCost + climb);
+      crossing += feature.crossingCost;
+    }
+    return cost + crossing;
+  }
+
+  /**
+   * Find the cheapest path between two hexes using A*
+   * @param {Hex|{q, r}} from - Start hex
+   * @param {Hex|{q, r}} to - Goal hex
+   * @param {Object} options
+   * @param {Set<string>|Function} options.blocked - Hex keys or predicate(hex) for hexes that cannot be entered (e.g. occupied)
+   * @param {number} options.maxCost - Give up on paths costing more than this
+   * @param {number} options.maxIterations - Maximum number of hexes to expand before giving up
+   * @param {Function} options.getCost - Override step cost: (from, to) => number
+   * @returns {{path: Array<Hex>, cost: number}|null} Path including start and goal, or null if unreachable
+   */
+  findPath(from, to, options = {}) {
+    const start = new Hex(from.q, from.r);
+    const goal = new Hex(to.q, to.r);
+    const maxCost = options.maxCost ?? Infinity;
+    const maxIterations = options.maxIterations ?? 10000;
+    const getCost = options.getCost || ((a, b) => this.getMovementCost(a, b));
+    const isBlocked = this.createBlockedTest(options.blocked);
+
+    if (!this.getHex(start.q, start.r) || !this.getHex(goal.q, goal.r)) {
+      return null;
+    }
+    if (isBlocked(goal)) {
+      return null;
+    }
+
+    // Cheapest passable terrain keeps the heuristic admissible
+    const minCost = this.getMinTerrainCost();
+
+    const frontier = new PriorityQueue();
+    const cameFrom = new Map(); // key -> previous hex
+    const costSoFar = new Map(); // key -> accumulated cost
+
+    frontier.push(start, 0);
+    cameFrom.set(start.key(), null);
+    costSoFar.set(start.key(), 0);
+
+    let iterations = 0;
+
+    while (!frontier.isEmpty()) {
+      const current = frontier.pop();
+
+      if (current.equals(goal)) {
+        return {
+          path: this.reconstructPath(cameFrom, goal),
+          cost: costSoFar.get(goal.key())
+        };
+      }
+
+      if (++iterations > maxIterations) {
+        break;
+      }
+
+      const currentCost = costSoFar.get(current.key());
+
+      for (const next of current.neighbors()) {
+        if (isBlocked(next)) continue;
+
+        const stepCost = getCost(current, next);
+        if (stepCost === Infinity) continue;
+
+        const newCost = currentCost + stepCost;
+        if (newCost > maxCost) continue;
+
+        const nextKey = next.key();
+        if (!costSoFar.has(nextKey) || newCost < costSoFar.get(nextKey)) {
+          costSoFar.set(nextKey, newCost);
+          cameFrom.set(nextKey, current);
+          frontier.push(next, newCost + next.distanceTo(goal) * minCost);
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find every hex reachable from a start hex within a movement budget
+   * Budgeted Dijkstra over terrain costs (unlike Hex.range, which ignores terrain)
+   * @param {Hex|{q, r}} from - Start hex
+   * @param {number} budget - Maximum total movement cost
+   * @param {Object} options
+   * @param {Set<string>|Function} options.blocked - Hex keys or predicate(hex) for hexes that cannot be entered
+   * @param {Function} options.getCost - Override step cost: (from, to) => number
+   * @returns {Map<string, {hex: Hex, cost: number}>} Reachable hexes (including the start) keyed by hex key
+   */
+  getReachable(from, budget, options = {}) {
+    const start = new Hex(from.q, from.r);
+    const getCost = options.getCost || ((a, b) => this.getMovementCost(a, b));
+    const isBlocked = this.createBlockedTest(options.blocked);
+    const reachable = new Map();
+
+    if (!this.getHex(start.q, start.r)) {
+      return reachable;
+    }
+
+    const frontier = new PriorityQueue();
+    const costSoFar = new Map();
+
+    frontier.push(start, 0);
+    costSoFar.set(start.key(), 0);
+
+    while (!frontier.isEmpty()) {
+      const current = frontier.pop();
+      const currentKey = current.key();
+      const currentCost = costSoFar.get(currentKey);
+
+      // Skip stale queue entries that were improved after being pushed
+      if (reachable.has(currentKey)) continue;
+      reachable.set(currentKey, { hex: current, cost: currentCost });
+
+      for (const next of current.neighbors()) {
+        const nextKey = next.key();
+        if (reachable.has(nextKey) || isBlocked(next)) continue;
+
+        const newCost = currentCost + getCost(current, next);
+        if (newCost > budget) continue;
+
+        if (!costSoFar.has(nextKey) || newCost < costSoFar.get(nextKey)) {
+          costSoFar.set(nextKey, newCost);
+          frontier.push(next, newCost);
+        }
+      }
+    }
+
+    return reachable;
+  }
+
+  /**
+   * Check whether one hex can see another
+   * Sight is blocked by any hex strictly between the two whose terrain has
+   * blocksSight set or that rises above the straight sight line between the
+   * endpoints' elevations (the endpoints themselves never block), and by any
+   * side along the line with a blocksSight edge feature (walls)
+   * @param {Hex|{q, r}} from - Observer hex
+   * @param {Hex|{q, r}} to - Target hex
+   * @returns {boolean}
+   */
+  hasLineOfSight(from, to) {
+    const line = new Hex(from.q, from.r).lineTo(to);
+    const fromElevation = this.getElevation(from);
+    const toElevation = this.getElevation(to);
+
+    for (let i = 1; i < line.length - 1; i++) {
+      const data = this.getHex(line[i].q, line[i].r);
+      if (!data) continue;
+      if (data.terrain.blocksSight) {
+        return false;
+      }
+
+      const sightHeight = fromElevation + (toElevation - fromElevation) * (i / (line.length - 1));
+      if (data.elevation > sightHeight) {
+        return false;
+      }
+    }
+
+    if (this.edgeFeatures.size > 0) {
+      for (let i = 0; i < line.length - 1; i++) {
+        const entry = this.edgeFeatures.get(HexEdge.between(line[i], line[i + 1]).key());
+        if (entry && entry.features.some(feature => feature.blocksSight)) {
+          return false;
+        }
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Build a predicate from a blocked option (Set of keys or function)
+   */
+  createBlockedTest(blocked) {
+    if (!blocked) return () => false;
+    if (typeof blocked === 'function') return blocked;
+    return (hex) => blocked.has(hex.key());
+  }
+
+  /**
+   * Lowest movement cost among passable terrain types and placed
+   * cost-replacing edge features (roads)
+   */
+  getMinTerrainCost() {
+    let min = Infinity;
+    this.terrainRegistry.list().forEach(terrain => {
+      if (terrain.passable !== false) {
+        min = Math.min(min, terrain.cost);
+      }
+    });
+    this.edgeFeatures.forEach(({ features }) => {
+      features.forEach(feature => {
+        if (feature.movementCost !== null) {
+          min = Math.min(min, feature.movementCost);
+        }
+      });
+    });
+    return min === Infinity ? 1 : min;
+  }
+
+  /**
+   * Walk the cameFrom chain back from the goal
+   */
+  reconstructPath(cameFrom, goal) {
+    const path = [];
+    let current = goal;
+
+    while (current) {
+      path.push(current);
+      current = cameFrom.get(current.key());
+    }
+
+    return path.reverse();
+  }
+
+  /**
+   * Change the terrain of a single hex
+   * Marks the hex's chunk dirty (redrawn on next update()) and emits 'terrainchange'
+   * @param {number} q
+   * @param {number} r
+   * @param {string} terrainId - Terrain id, e.g. 'forest'
+   * @returns {Object|null} Previous terrain, or null if the hex doesn't exist
+   */
+  setTerrain(q, r, terrainId) {
+    const data = this.getHex(q, r);
+    if (!data) return null;
+
+    const terrain = this.terrainRegistry.require(terrainId);
+
+    const previous = data.terrain;
+    if (previous === terrain) return previous;
+
+    data.terrain = terrain;
+    this.markDirty(q, r);
+    this.events.emit('terrainchange', { hex: data.hex, terrain, previous });
+
+    return previous;
+  }
+
+  /**
+   * Add a feature to a hex side
+   * Emits 'featurechange'; the feature layer redraws on next update()
+   * @param {HexEdge} edge - Must touch at least one grid hex
+   * @param {string} featureId - Edge feature id, e.g. 'river'
+   * @returns {boolean} false if the side already had this feature
+   */
+  addEdgeFeature(edge, featureId) {
+    const feature = this.terrainRegistry.requireEdgeFeature(featureId);
+    this.assertTouchesGrid(edge.hexes(), `Edge ${edge.key()}`);
+    return this.addFeature(this.edgeFeatures, 'edge', edge, feature);
+  }
+
+  /**
+   * Remove a feature from a hex side
+   * @returns {boolean} false if the side didn't have this feature
+   */
+  removeEdgeFeature(edge, featureId) {
+    return this.removeFeature(this.edgeFeatures, 'edge', edge, featureId);
+  }
+
+  /**
+   * Get the features on a hex side
+   * @returns {Array<Object>} Feature types (empty if none)
+   */
+  getEdgeFeatures(edge) {
+    const entry = this.edgeFeatures.get(edge.key());
+    return entry ? entry.features.slice() : [];
+  }
+
+  hasEdgeFeature(edge, featureId) {
+    return this.getEdgeFeatures(edge).some(feature => feature.id === featureId);
+  }
+
+  /**
+   * Add a feature to a hex corner
+   * @param {HexVertex} vertex - Must touch at least one grid hex
+   * @param {string} featureId - Vertex feature id, e.g. 'tower'
+   * @returns {boolean} false if the corner already had this feature
+   */
+  addVertexFeature(vertex, featureId) {
+    const feature = this.terrainRegistry.requireVertexFeature(featureId);
+    this.assertTouchesGrid(vertex.hexes(), `Vertex ${vertex.key()}`);
+    return this.addFeature(this.vertexFeatures, 'vertex', vertex, feature);
+  }
+
+  /**
+   * Remove a feature from a hex corner
+   * @returns {boolean} false if the corner didn't have this feature
+   */
+  removeVertexFeature(vertex, featureId) {
+    return this.removeFeature(this.vertexFeatures, 'vertex', vertex, featureId);
+  }
+
+  /**
+   * Get the features on a hex corner
+   * @returns {Array<Object>} Feature types (empty if none)
+   */
+  getVertexFeatures(vertex) {
+    const entry = this.vertexFeatures.get(vertex.key());
+    return entry ? entry.features.slice() : [];
+  }
+
+  hasVertexFeature(vertex, featureId) {
+    return this.getVertexFeatures(vertex).some(feature => feature.id === featureId);
+  }
+
+  /**
+   * Shared add for edge/vertex feature layers
+   * @param {Map} layer - edgeFeatures or vertexFeatures
+   * @param {string} kind - 'edge' or 'vertex' (entry field and event payload name)
+   */
+  addFeature(layer, kind, location, feature) {
+    const key = location.key();
+    if (!layer.has(key)) {
+      layer.set(key, { [kind]: location, features: [] });
+    }
+
+    const entry = layer.get(key);
+    if (entry.features.includes(feature)) return false;
+
+    entry.features.push(feature);
+    this.featuresDirty = true;
+    this.events.emit('featurechange', { [kind]: entry[kind], feature, added: true });
+    return true;
+  }
+
+  /**
+   * Shared remove for edge/vertex feature layers
+   */
+  removeFeature(layer, kind, location, featureId) {
+    const key = location.key();
+    const entry = layer.get(key);
+    const feature = entry && entry.features.find(f => f.id === featureId);
+    if (!feature) return false;
+
+    entry.features.splice(entry.features.indexOf(feature), 1);
+    if (entry.features.length === 0) {
+      layer.delete(key);
+    }
+
+    this.featuresDirty = true;
+    this.events.emit('featurechange', { [kind]: entry[kind], feature, added: false });
+    return true;
+  }
+
+  /**
+   * Throw unless at least one of the hexes is on the grid
+   */
+  assertTouchesGrid(hexes, label) {
+    if (!hexes.some(hex => this.getHex(hex.q, hex.r))) {
+      throw new Error(`${label} is not on the grid`);
+    }
+  }
+
   /**
    * Get visible hexes within bounds (for culling)
+   * Once rendered, only hexes in chunks intersecting the bounds are checked
    */
   getVisibleHexes(bounds) {
     const visible = [];
+    const margin = this.size;
 
-    this.hexes.forEach((data, key) => {
+    const check = (data) => {
       const pos = this.hexToPixel(data.hex);
-      if (pos.x >= bounds.left - this.size * 2 &&
-          pos.x <= bounds.right + this.size * 2 &&
-          pos.y >= bounds.top - this.size * 2 &&
-          pos.y <= bounds.bottom + this.size * 2) {
+      if (pos.x >= bounds.left - margin &&
+          pos.x <= bounds.right + margin &&
+          pos.y >= bounds.top - margin &&
+          pos.y <= bounds.bottom + margin) {
         visible.push(data);
       }
+    };
+
+    if (this.chunks.size === 0) {
+      this.hexes.forEach(check);
+      return visible;
+    }
+
+    this.chunks.forEach(chunk => {
+      if (boundsIntersect(chunk.bounds, bounds)) {
+        chunk.hexKeys.forEach(key => check(this.hexes.get(key)));
+      }
     });
 
     return visible;
@@ -182,18 +1101,63 @@ export class HexGrid {
     this.hexes.forEach((data, key) => {
       hexData.push({
         hex: data.hex.serialize(),
-        terrain: data.terrain.name
+        terrain: data.terrain.id,
+        elevation: data.elevation
       });
     });
 
+    const serializeFeatures = (layer, kind) => Array.from(layer.values()).map(entry => ({
+      [kind]: entry[kind].serialize(),
+      features: entry.features.map(feature => feature.id)
+    }));
+
     return {
       size: this.size,
       width: this.width,
       height: this.height,
-      hexes: hexData
+      orientation: this.orientation,
+      shape: this.shape,
+      generator: this.generatorParams,
+      climbCost: this.climbCost,
+      highGroundBonus: this.highGroundBonus,
+      hexes: hexData,
+      edges: serializeFeatures(this.edgeFeatures, 'edge'),
+      vertices: serializeFeatures(this.vertexFeatures, 'vertex')
     };
   }
 
+  /**
+   * Rebuild a grid from serialized state (see serialize)
+   * Terrain comes from the saved hexes, not from the generator
+   * @param {Object} data - Serialized grid
+   * @param {TerrainRegistry} terrainRegistry - Terrain types the save refers to
+   * @returns {HexGrid}
+   */
+  static deserialize(data, terrainRegistry = null) {
+    return new HexGrid({
+      terrainRegistry,
+      size: data.size,
+      width: data.width,
+      height: data.height,
+      orientation: data.orientation,
+      shape: data.shape,
+      generator: data.generator,
+      climbCost: data.climbCost,
+      highGroundBonus: data.highGroundBonus,
+      hexData: data.hexes,
+      edgeData: data.edges,
+      vertexData: data.vertices
+    });
+  }
+
+  /**
+   * Destroy the grid's display objects
+   */
+  destroy() {
+    this.events.clear();
+    this.container.destroy({ children: true });
+  }
+
   /**
    * Get total hex count
    */
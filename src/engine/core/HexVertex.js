@@ -0,0 +1,87 @@
+import { Hex } from './Hex.js';
+import { HexEdge } from './HexEdge.js';
+
+/**
+ * Order hexes by q, then r (canonical order for edges and vertices)
+ */
+export function compareHexes(a, b) {
+  return a.q - b.q || a.r - b.r;
+}
+
+/**
+ * HexVertex - A hex corner, identified by the three hexes that meet there
+ * Hexes are stored in canonical (q, then r) order, so the same corner always
+ * has the same key no matter which hex it was reached from
+ */
+export class HexVertex {
+  /**
+   * @param {Hex|{q, r}} a
+   * @param {Hex|{q, r}} b
+   * @param {Hex|{q, r}} c - The three hexes must be mutually adjacent
+   */
+  constructor(a, b, c) {
+    const hexes = [a, b, c].map(h => new Hex(h.q, h.r));
+
+    if (hexes[0].distanceTo(hexes[1]) !== 1 ||
+        hexes[1].distanceTo(hexes[2]) !== 1 ||
+        hexes[0].distanceTo(hexes[2]) !== 1) {
+      throw new Error(`Hexes ${hexes.map(h => `(${h.q}, ${h.r})`).join(', ')} do not meet at a corner`);
+    }
+
+    [this.a, this.b, this.c] = hexes.sort(compareHexes);
+  }
+
+  /**
+   * Get unique key for this vertex (for Map/Set usage), e.g. "0,0|0,1|1,0"
+   */
+  key() {
+    return `${this.a.key()}|${this.b.key()}|${this.c.key()}`;
+  }
+
+  equals(other) {
+    return this.a.equals(other.a) && this.b.equals(other.b) && this.c.equals(other.c);
+  }
+
+  /**
+   * The three hexes touching this corner
+   */
+  hexes() {
+    return [this.a, this.b, this.c];
+  }
+
+  /**
+   * The three edges meeting at this corner
+   * @returns {Array<HexEdge>}
+   */
+  edges() {
+    return [
+      new HexEdge(this.a, this.b),
+      new HexEdge(this.b, this.c),
+      new HexEdge(this.a, this.c)
+    ];
+  }
+
+  /**
+   * The three corners one edge away
+   * @returns {Array<HexVertex>}
+   */
+  neighbors() {
+    return this.edges().map(edge =>
+      edge.vertices().find(vertex => !vertex.equals(this))
+    );
+  }
+
+  /**
+   * Serialize to JSON
+   */
+  serialize() {
+    return { a: this.a.serialize(), b: this.b.serialize(), c: this.c.serialize() };
+  }
+
+  /**
+   * Deserialize from JSON
+   */
+  static deserialize(data) {
+    return new HexVertex(data.a, data.b, data.c);
+  }
+}
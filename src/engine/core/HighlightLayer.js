@@ -0,0 +1,82 @@
+import * as PIXI from 'pixi.js';
+
+/**
+ * HighlightLayer - Translucent hex overlays drawn between the grid and entities
+ * Each named highlight (e.g. 'movement') is its own Graphics so they can be
+ * shown and cleared independently
+ */
+export class HighlightLayer {
+  constructor(hexGrid) {
+    this.hexGrid = hexGrid;
+    this.container = new PIXI.Container();
+    this.container.zIndex = 50; // Above hex grid (0), below RenderSystem (100)
+    this.highlights = new Map(); // name -> PIXI.Graphics
+  }
+
+  /**
+   * Draw (or replace) a named highlight over a set of hexes
+   * @param {string} name - Highlight identifier
+   * @param {Iterable<{q, r}>} hexes - Hexes to highlight
+   * @param {Object} style - {color, alpha, outline}
+   */
+  setHighlight(name, hexes, style = {}) {
+    const color = style.color ?? 0xFFFFFF;
+    const alpha = style.alpha ?? 0.35;
+    const outline = style.outline ?? true;
+
+    let graphics = this.highlights.get(name);
+    if (!graphics) {
+      graphics = new PIXI.Graphics();
+      this.highlights.set(name, graphics);
+      this.container.addChild(graphics);
+    }
+    graphics.clear();
+
+    for (const hex of hexes) {
+      const corners = this.hexGrid.getHexCorners(hex);
+
+      graphics.poly(corners.flatMap(c => [c.x, c.y]));
+      graphics.fill({ color, alpha });
+
+      if (outline) {
+        graphics.poly(corners.flatMap(c => [c.x, c.y]));
+        graphics.stroke({ width: 2, color, alpha: Math.min(1, alpha * 2) });
+      }
+    }
+  }
+
+  /**
+   * Remove a named highlight
+   */
+  clearHighlight(name) {
+    const graphics = this.highlights.get(name);
+    if (graphics) {
+      this.container.removeChild(graphics);
+      graphics.destroy();
+      this.highlights.delete(name);
+    }
+  }
+
+  /**
+   * Remove all highlights
+   */
+  clear() {
+    Array.from(this.highlights.keys()).forEach(name => this.clearHighlight(name));
+  }
+
+  /**
+   * Point the layer at a different grid (e.g. after the grid is rebuilt)
+   */
+  setHexGrid(hexGrid) {
+    this.hexGrid = hexGrid;
+    this.clear();
+  }
+
+  /**
+   * Clean up all graphics
+   */
+  destroy() {
+    this.clear();
+    this.container.destroy({ children: true });
+  }
+}
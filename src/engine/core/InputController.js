@@ -0,0 +1,262 @@
+import { EventEmitter } from './EventEmitter.js';
+
+/**
+ * Gesture classification for an active pointer
+ */
+export const Gesture = {
+  PENDING: 'pending',     // Pressed, not yet classified
+  DRAG: 'drag',           // Moved further than tapMaxDistance
+  LONG_PRESS: 'longpress', // Held still for longPressDelay
+  PINCH: 'pinch'          // Part of a two-pointer pinch
+};
+
+/**
+ * InputController - Unified mouse/touch/pen input via Pointer Events
+ * Tracks each pointer's travel distance and press time and classifies the
+ * gesture, so a pan never ends in an accidental click:
+ *   - tap: released before longPressDelay without moving more than tapMaxDistance
+ *   - drag: moved more than tapMaxDistance (no tap on release)
+ *   - long-press: held still for longPressDelay (no tap on release); moving
+ *     it further than tapMaxDistance afterwards turns it into a drag
+ *   - pinch: two pointers down at once (touch/pen)
+ *
+ * Events (all payloads include `event`, the DOM PointerEvent):
+ *   'tap', 'longpress', 'dragstart', 'dragend'  {pointer, event}
+ *   'longpressend'                              {pointer, event} (released without dragging)
+ *   'dragmove'                                  {pointer, event, dx, dy} (movement since last dragmove)
+ *   'hover'                                     {event} (pointer moving with no button held)
+ *   'leave'                                     {event}
+ *   'pinchstart', 'pinchend'                    {center, event}
+ *   'pinch'                                     {center, scale, dx, dy, event} (scale = distance ratio since last pinch)
+ */
+export class InputController {
+  constructor(element, config = {}) {
+    this.element = element;
+    this.tapMaxDistance = config.tapMaxDistance ?? 6; // Pixels a tap may wander
+    this.longPressDelay = config.longPressDelay ?? 500; // Milliseconds
+
+    this.pointers = new Map(); // pointerId -> pointer state (see onPointerDown)
+    this.pinch = null; // {distance, center} while two pointers are down
+    this.events = new EventEmitter();
+
+    this.onPointerDown = this.onPointerDown.bind(this);
+    this.onPointerMove = this.onPointerMove.bind(this);
+    this.onPointerUp = this.onPointerUp.bind(this);
+    this.onPointerCancel = this.onPointerCancel.bind(this);
+    this.onPointerLeave = this.onPointerLeave.bind(this);
+
+    // Let pointer events handle touch instead of the browser's scroll/zoom
+    element.style.touchAction = 'none';
+
+    element.addEventListener('pointerdown', this.onPointerDown);
+    element.addEventListener('pointermove', this.onPointerMove);
+    element.addEventListener('pointerup', this.onPointerUp);
+    element.addEventListener('pointercancel', this.onPointerCancel);
+    element.addEventListener('pointerleave', this.onPointerLeave);
+  }
+
+  /**
+   * Subscribe to input events
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, listener) {
+    return this.events.on(event, listener);
+  }
+
+  off(event, listener) {
+    this.events.off(event, listener);
+  }
+
+  onPointerDown(e) {
+    if (e.button === 1) e.preventDefault(); // Suppress middle-click autoscroll
+
+    // Keep receiving moves/ups for this pointer even outside the element
+    if (this.element.setPointerCapture) {
+      this.element.setPointerCapture(e.pointerId);
+    }
+
+    const pointer = {
+      id: e.pointerId,
+      type: e.pointerType, // 'mouse', 'touch' or 'pen'
+      button: e.button,
+      startX: e.clientX,
+      startY: e.clientY,
+      x: e.clientX,
+      y: e.clientY,
+      startTime: performance.now(),
+      gesture: Gesture.PENDING,
+      longPressTimer: null
+    };
+    this.pointers.set(e.pointerId, pointer);
+
+    // A second pointer turns both into a pinch
+    if (this.pointers.size === 2) {
+      this.startPinch(e);
+      return;
+    }
+
+    pointer.longPressTimer = setTimeout(() => {
+      if (pointer.gesture !== Gesture.PENDING) return;
+      pointer.gesture = Gesture.LONG_PRESS;
+      this.events.emit('longpress', { pointer, event: e });
+    }, this.longPressDelay);
+  }
+
+  onPointerMove(e) {
+    const pointer = this.pointers.get(e.pointerId);
+    if (!pointer) {
+      this.events.emit('hover', { event: e });
+      return;
+    }
+
+    const dx = e.clientX - pointer.x;
+    const dy = e.clientY - pointer.y;
+    pointer.x = e.clientX;
+    pointer.y = e.clientY;
+
+    switch (pointer.gesture) {
+      case Gesture.PENDING:
+      case Gesture.LONG_PRESS: {
+        const travel = Math.hypot(pointer.x - pointer.startX, pointer.y - pointer.startY);
+        if (travel <= this.tapMaxDistance) return;
+
+        clearTimeout(pointer.longPressTimer);
+        pointer.gesture = Gesture.DRAG;
+        this.events.emit('dragstart', { pointer, event: e });
+        // Include the movement that crossed the threshold
+        this.events.emit('dragmove', {
+          pointer, event: e, dx: pointer.x - pointer.startX, dy: pointer.y - pointer.startY
+        });
+        break;
+      }
+
+      case Gesture.DRAG:
+        this.events.emit('dragmove', { pointer, event: e, dx, dy });
+        break;
+
+      case Gesture.PINCH:
+        this.updatePinch(e);
+        break;
+    }
+  }
+
+  onPointerUp(e) {
+    const pointer = this.endPointer(e);
+    if (!pointer) return;
+
+    if (pointer.gesture === Gesture.PENDING) {
+      this.events.emit('tap', { pointer, event: e });
+    } else {
+      this.emitGestureEnd(pointer, e);
+    }
+  }
+
+  onPointerCancel(e) {
+    const pointer = this.endPointer(e);
+    if (pointer) this.emitGestureEnd(pointer, e);
+  }
+
+  /**
+   * Close a drag or long-press so listeners always see it end
+   */
+  emitGestureEnd(pointer, e) {
+    if (pointer.gesture === Gesture.DRAG) {
+      this.events.emit('dragend', { pointer, event: e });
+    } else if (pointer.gesture === Gesture.LONG_PRESS) {
+      this.events.emit('longpressend', { pointer, event: e });
+    }
+  }
+
+  onPointerLeave(e) {
+    // Captured pointers keep reporting; only plain hovering leaves
+    if (!this.pointers.has(e.pointerId)) {
+      this.events.emit('leave', { event: e });
+    }
+  }
+
+  /**
+   * Stop tracking a pointer, ending any pinch it was part of
+   * @returns {Object|null} The pointer's final state
+   */
+  endPointer(e) {
+    const pointer = this.pointers.get(e.pointerId);
+    if (!pointer) return null;
+
+    clearTimeout(pointer.longPressTimer);
+    this.pointers.delete(e.pointerId);
+
+    if (pointer.gesture === Gesture.PINCH && this.pinch) {
+      const center = this.pinch.center;
+      this.pinch = null;
+      // The remaining finger stays in the pinch gesture: lifting it won't tap
+      this.events.emit('pinchend', { center, event: e });
+    }
+
+    return pointer;
+  }
+
+  startPinch(e) {
+    const [a, b] = Array.from(this.pointers.values());
+
+    // A drag in progress ends; pending taps and long-presses are cancelled
+    [a, b].forEach(pointer => {
+      clearTimeout(pointer.longPressTimer);
+      if (pointer.gesture === Gesture.DRAG) {
+        this.events.emit('dragend', { pointer, event: e });
+      }
+      pointer.gesture = Gesture.PINCH;
+    });
+
+    this.pinch = { distance: pointerDistance(a, b), center: pointerCenter(a, b) };
+    this.events.emit('pinchstart', { center: this.pinch.center, event: e });
+  }
+
+  updatePinch(e) {
+    if (!this.pinch || this.pointers.size < 2) return;
+
+    const [a, b] = Array.from(this.pointers.values());
+    const distance = pointerDistance(a, b);
+    const center = pointerCenter(a, b);
+
+    this.events.emit('pinch', {
+      center,
+      scale: this.pinch.distance > 0 ? distance / this.pinch.distance : 1,
+      dx: center.x - this.pinch.center.x,
+      dy: center.y - this.pinch.center.y,
+      event: e
+    });
+
+    this.pinch.distance = distance;
+    this.pinch.center = center;
+  }
+
+  /**
+   * Whether any pointer is currently pressed
+   */
+  isPointerDown() {
+    return this.pointers.size > 0;
+  }
+
+  /**
+   * Detach listeners
+   */
+  destroy() {
+    this.pointers.forEach(pointer => clearTimeout(pointer.longPressTimer));
+    this.pointers.clear();
+    this.events.clear();
+
+    this.element.removeEventListener('pointerdown', this.onPointerDown);
+    this.element.removeEventListener('pointermove', this.onPointerMove);
+    this.element.removeEventListener('pointerup', this.onPointerUp);
+    this.element.removeEventListener('pointercancel', this.onPointerCancel);
+    this.element.removeEventListener('pointerleave', this.onPointerLeave);
+  }
+}
+
+function pointerDistance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+function pointerCenter(a, b) {
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
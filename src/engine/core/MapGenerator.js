@@ -0,0 +1,145 @@
+import { NoiseGenerator } from './Noise.js';
+
+/**
+ * Default map generation parameters
+ */
+export const DEFAULT_MAP_PARAMS = {
+  seed: 1,
+  waterLevel: 0.35,        // Fraction of hexes that become water
+  mountainFrequency: 0.15, // Fraction of land hexes that become mountain
+  waterTerrain: 'water',   // Terrain id for the lowest hexes
+  mountainTerrain: 'mountain', // Terrain id for ridges and peaks
+  biomeWeights: {          // Terrain id -> relative share of the remaining land, dry to wet
+    desert: 0.2,
+    grass: 0.5,
+    forest: 0.3
+  },
+  noiseScale: 0.08,        // Lower = larger continents
+  maxElevation: 5          // Highest elevation level; water is 0, land 1..maxElevation
+};
+
+/**
+ * MapGenerator - Seeded, deterministic terrain and elevation generation
+ * Uses coherent noise so terrain forms continents, mountain ranges and
+ * forests. Thresholds are picked by rank, so waterLevel and
+ * mountainFrequency are exact shares of the map regardless of seed.
+ */
+export class MapGenerator {
+  constructor(params = {}) {
+    this.params = {
+      ...DEFAULT_MAP_PARAMS,
+      ...params,
+      biomeWeights: { ...DEFAULT_MAP_PARAMS.biomeWeights, ...params.biomeWeights }
+    };
+
+    const seed = this.params.seed;
+    this.elevationNoise = new NoiseGenerator(`${seed}:elevation`);
+    this.ridgeNoise = new NoiseGenerator(`${seed}:ridge`);
+    this.moistureNoise = new NoiseGenerator(`${seed}:moisture`);
+  }
+
+  /**
+   * Assign terrain and elevation to every hex in the grid
+   * @param {HexGrid} hexGrid
+   */
+  generate(hexGrid) {
+    const samples = [];
+
+    hexGrid.hexes.forEach(data => {
+      // Sample in pixel space (in hex-size units) so results don't depend on layout skew
+      const pos = hexGrid.hexToPixel(data.hex);
+      const x = (pos.x / hexGrid.size) * this.params.noiseScale;
+      const y = (pos.y / hexGrid.size) * this.params.noiseScale;
+
+      samples.push({
+        data,
+        elevation: this.elevationNoise.fbm(x, y, 5),
+        ridge: this.ridgeNoise.ridged(x * 1.5, y * 1.5, 3),
+        moisture: this.moistureNoise.fbm(x * 2, y * 2, 3)
+      });
+    });
+
+    // Water: lowest elevations
+    samples.sort((a, b) => a.elevation - b.elevation || compareKeys(a, b));
+    const waterCount = Math.round(samples.length * clamp01(this.params.waterLevel));
+    const water = samples.slice(0, waterCount);
+    const land = samples.slice(waterCount);
+
+    // Mountains: land where high ground meets ridge lines
+    land.sort((a, b) => mountainScore(b) - mountainScore(a) || compareKeys(a, b));
+    const mountainCount = Math.round(land.length * clamp01(this.params.mountainFrequency));
+    const mountains = land.slice(0, mountainCount);
+    const lowlands = land.slice(mountainCount);
+
+    // Biomes: split remaining land by moisture according to weights
+    lowlands.sort((a, b) => a.moisture - b.moisture || compareKeys(a, b));
+    const biomes = this.getBiomeBands(lowlands.length);
+
+    // Resolve terrain ids up front so a missing type fails before any hex changes
+    const terrains = hexGrid.terrainRegistry;
+    const waterTerrain = water.length > 0 ? terrains.require(this.params.waterTerrain) : null;
+    const mountainTerrain = mountains.length > 0 ? terrains.require(this.params.mountainTerrain) : null;
+    biomes.forEach(band => { band.terrain = terrains.require(band.name); });
+
+    water.forEach(s => { s.data.terrain = waterTerrain; });
+    mountains.forEach(s => { s.data.terrain = mountainTerrain; });
+
+    // Elevation: water at sea level, land in equal-sized levels by mountain score
+    // (land is still sorted highest first, so mountains get the top levels)
+    const levels = Math.max(1, Math.floor(this.params.maxElevation));
+    water.forEach(s => { s.data.elevation = 0; });
+    land.forEach((s, i) => {
+      s.data.elevation = levels - Math.floor((i / land.length) * levels);
+    });
+
+    lowlands.forEach((s, i) => {
+      const band = biomes.find(b => i < b.end);
+      s.data.terrain = band.terrain;
+    });
+  }
+
+  /**
+   * Convert biome weights into cumulative index bands
+   * @returns {Array<{name: string, end: number}>}
+   */
+  getBiomeBands(count) {
+    const entries = Object.entries(this.params.biomeWeights).filter(([, w]) => w > 0);
+    const total = entries.reduce((sum, [, w]) => sum + w, 0) || 1;
+    let cumulative = 0;
+
+    const bands = entries.map(([name, weight]) => {
+      cumulative += weight / total;
+      return { name, end: Math.round(cumulative * count) };
+    });
+
+    // Guard against rounding leaving the last hexes unassigned
+    if (bands.length === 0) {
+      return [{ name: 'grass', end: Infinity }];
+    }
+    bands[bands.length - 1].end = Infinity;
+    return bands;
+  }
+
+  /**
+   * Get generation parameters for serialization
+   */
+  serialize() {
+    return {
+      ...this.params,
+      biomeWeights: { ...this.params.biomeWeights }
+    };
+  }
+}
+
+function mountainScore(sample) {
+  return sample.elevation + sample.ridge * 0.6;
+}
+
+function clamp01(value) {
+  return Math.max(0, Math.min(1, value));
+}
+
+// Tie-breaker so equal noise values still sort deterministically
+function compareKeys(a, b) {
+  return a.data.hex.q - b.data.hex.q || a.data.hex.r - b.data.hex.r;
+}
@@ -0,0 +1,101 @@
+import { Hex, OffsetType } from './Hex.js';
+
+/**
+ * Supported map shapes
+ */
+export const MapShape = {
+  RECTANGLE: 'rectangle',         // Offset rectangle (width x height, looks rectangular on screen)
+  HEXAGON: 'hexagon',             // Hexagon of `radius` around (0, 0)
+  TRIANGLE: 'triangle',           // Triangle with `size` hexes per side
+  PARALLELOGRAM: 'parallelogram', // Raw q/r ranges (width x height)
+  MASK: 'mask'                    // Arbitrary shape from `rows` of '#'/'.' characters
+};
+
+/**
+ * Normalize a shape config (string or object) into a full shape description
+ * @param {string|Object} shape - e.g. 'hexagon' or {type: 'hexagon', radius: 8}
+ * @param {number} width - Fallback width in hexes
+ * @param {number} height - Fallback height in hexes
+ * @returns {Object} {type, ...shape parameters}
+ */
+export function normalizeShape(shape, width, height) {
+  const config = typeof shape === 'string' ? { type: shape } : { ...shape };
+  const type = config.type || MapShape.PARALLELOGRAM;
+
+  switch (type) {
+    case MapShape.RECTANGLE:
+    case MapShape.PARALLELOGRAM:
+      return { type, width: config.width ?? width, height: config.height ?? height };
+
+    case MapShape.HEXAGON:
+      return { type, radius: config.radius ?? Math.floor(Math.min(width, height) / 2) };
+
+    case MapShape.TRIANGLE:
+      return { type, size: config.size ?? Math.min(width, height) };
+
+    case MapShape.MASK:
+      if (!Array.isArray(config.rows)) {
+        throw new Error('Mask map shape requires a "rows" array of strings');
+      }
+      return { type, rows: config.rows.slice() };
+
+    default:
+      throw new Error(`Unknown map shape: ${type}`);
+  }
+}
+
+/**
+ * Generate the hexes that make up a map shape
+ * @param {Object} shape - Normalized shape (see normalizeShape)
+ * @param {string} orientation - 'flat' or 'pointy'; picks the offset system for rectangle/mask
+ * @returns {Array<Hex>}
+ */
+export function generateShapeHexes(shape, orientation = 'flat') {
+  const hexes = [];
+  const offsetType = orientation === 'pointy' ? OffsetType.ODD_R : OffsetType.ODD_Q;
+
+  switch (shape.type) {
+    case MapShape.PARALLELOGRAM:
+      for (let q = 0; q < shape.width; q++) {
+        for (let r = 0; r < shape.height; r++) {
+          hexes.push(new Hex(q, r));
+        }
+      }
+      break;
+
+    case MapShape.RECTANGLE:
+      for (let col = 0; col < shape.width; col++) {
+        for (let row = 0; row < shape.height; row++) {
+          hexes.push(Hex.fromOffset(col, row, offsetType));
+        }
+      }
+      break;
+
+    case MapShape.HEXAGON:
+      hexes.push(...new Hex(0, 0).range(shape.radius));
+      break;
+
+    case MapShape.TRIANGLE:
+      for (let q = 0; q < shape.size; q++) {
+        for (let r = 0; r < shape.size - q; r++) {
+          hexes.push(new Hex(q, r));
+        }
+      }
+      break;
+
+    case MapShape.MASK:
+      shape.rows.forEach((line, row) => {
+        for (let col = 0; col < line.length; col++) {
+          if (line[col] !== '.' && line[col] !== ' ') {
+            hexes.push(Hex.fromOffset(col, row, offsetType));
+          }
+        }
+      });
+      break;
+
+    default:
+      throw new Error(`Unknown map shape: ${shape.type}`);
+  }
+
+  return hexes;
+}
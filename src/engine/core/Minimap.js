@@ -0,0 +1,373 @@
+import * as PIXI from 'pixi.js';
+import { PositionComponent, RenderableComponent } from './Components.js';
+
+/**
+ * Minimap - Low-resolution overview of the whole map in a screen corner
+ * Terrain is painted into a small 2D canvas from HexGrid display colors
+ * (fog of war and relief included) and only repainted per changed hex.
+ * Unit markers are redrawn only after entity events (units added, removed or
+ * moved) or a fog of war change; the camera rectangle only when the camera
+ * changes. Click or drag on the minimap to move the main view.
+ */
+export class Minimap {
+  /**
+   * @param {HexEngine} engine
+   * @param {Object} config - {width, height, margin}
+   */
+  constructor(engine, config = {}) {
+    this.engine = engine;
+    this.width = config.width ?? 200;
+    this.height = config.height ?? 150;
+    this.margin = config.margin ?? 10; // Distance from the screen corner
+    this.padding = 4; // Inside the frame, around the map
+
+    this.visible = config.visible ?? true;
+    this.hexGrid = null;
+
+    // Terrain layer: painted on a canvas, shown as a sprite
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = this.width;
+    this.canvas.height = this.height;
+    this.context = this.canvas.getContext('2d');
+    this.texture = PIXI.Texture.from(this.canvas);
+
+    this.container = new PIXI.Container();
+    this.container.zIndex = 9000; // Above the map, below the debug overlay
+    this.frame = new PIXI.Graphics();
+    this.terrainSprite = new PIXI.Sprite(this.texture);
+    this.markers = new PIXI.Graphics();
+    this.viewRect = new PIXI.Graphics();
+    this.container.addChild(this.frame, this.terrainSprite, this.markers, this.viewRect);
+    this.drawFrame();
+
+    // World -> minimap transform, recomputed on full repaints
+    this.transform = { scale: 1, offsetX: 0, offsetY: 0 };
+
+    // Incremental repaint state
+    this.fullRepaint = true;
+    this.dirtyKeys = new Set(); // Hex keys to repaint on the next update
+    this.markersDirty = true; // Redraw unit markers on the next update
+    this.viewKey = null; // Camera state at the last view rectangle redraw
+
+    this.dragPointerId = null; // Pointer navigating by dragging on the minimap
+    this.bindInput();
+    this.bindMarkerEvents();
+    this.layout();
+    this.container.visible = this.visible;
+  }
+
+  /**
+   * Point the minimap at a grid and repaint it completely
+   */
+  setHexGrid(hexGrid) {
+    this.hexGrid = hexGrid;
+    hexGrid.on('terrainchange', ({ hex }) => this.markDirty(hex.q, hex.r));
+    hexGrid.on('terrainreset', () => this.markAllDirty());
+    hexGrid.on('elevationchange', ({ hex }) => {
+      // Relief shading depends on the neighbors' heights too
+      this.markDirty(hex.q, hex.r);
+      hex.neighbors().forEach(n => this.markDirty(n.q, n.r));
+    });
+    this.markAllDirty();
+  }
+
+  /**
+   * Redraw markers when units come, go or move, or fog hides or reveals them
+   */
+  bindMarkerEvents() {
+    const entityManager = this.engine.entityManager;
+    const markMarkers = () => { this.markersDirty = true; };
+
+    this.unsubscribers = [
+      entityManager.onComponentAdded(PositionComponent, markMarkers),
+      entityManager.onComponentRemoved(PositionComponent, markMarkers),
+      entityManager.onComponentAdded(RenderableComponent, markMarkers),
+      entityManager.onComponentRemoved(RenderableComponent, markMarkers),
+      entityManager.onEntityMoved(markMarkers)
+    ];
+    if (this.engine.visibilitySystem) {
+      this.unsubscribers.push(this.engine.visibilitySystem.on('viewerchange', markMarkers));
+    }
+  }
+
+  /**
+   * Repaint one hex on the next update
+   */
+  markDirty(q, r) {
+    this.dirtyKeys.add(`${q},${r}`);
+  }
+
+  /**
+   * Repaint the whole minimap on the next update (e.g. fog of war switched)
+   */
+  markAllDirty() {
+    this.fullRepaint = true;
+    this.dirtyKeys.clear();
+  }
+
+  /**
+   * Bring the minimap up to date; cheap when nothing changed
+   * Call once per frame after the RenderSystem (markers use sprite visibility)
+   */
+  update() {
+    if (!this.visible || !this.hexGrid) return;
+
+    if (this.fullRepaint) {
+      this.repaintAll();
+    } else if (this.dirtyKeys.size > 0) {
+      this.dirtyKeys.forEach(key => {
+        const [q, r] = key.split(',').map(Number);
+        const data = this.hexGrid.getHex(q, r);
+        if (data) this.paintHex(data);
+      });
+      this.dirtyKeys.clear();
+      this.texture.source.update();
+    }
+
+    this.updateMarkers();
+    this.updateViewRect();
+  }
+
+  /**
+   * Recompute the transform and paint every hex
+   */
+  repaintAll() {
+    this.fullRepaint = false;
+    this.dirtyKeys.clear();
+    this.markersDirty = true; // Markers and view rectangle use the transform
+    this.viewKey = null;
+
+    this.context.clearRect(0, 0, this.width, this.height);
+    this.updateTransform();
+    this.hexGrid.hexes.forEach(data => this.paintHex(data));
+    this.texture.source.update();
+  }
+
+  /**
+   * Fit the map bounds into the minimap, centered
+   */
+  updateTransform() {
+    const bounds = this.engine.camera.getMapBounds();
+    if (!bounds) return;
+
+    const innerWidth = this.width - this.padding * 2;
+    const innerHeight = this.height - this.padding * 2;
+    const scale = Math.min(innerWidth / (bounds.right - bounds.left), innerHeight / (bounds.bottom - bounds.top));
+
+    this.transform = {
+      scale,
+      offsetX: this.padding + (innerWidth - (bounds.right - bounds.left) * scale) / 2 - bounds.left * scale,
+      offsetY: this.padding + (innerHeight - (bounds.bottom - bounds.top) * scale) / 2 - bounds.top * scale
+    };
+  }
+
+  /**
+   * Paint a single hex with its displayed color
+   */
+  paintHex(data) {
+    const ctx = this.context;
+    const { scale, offsetX, offsetY } = this.transform;
+    const center = this.hexGrid.hexToPixel(data.hex);
+    const corners = this.hexGrid.getHexCorners(data.hex);
+
+    ctx.beginPath();
+    corners.forEach((corner, i) => {
+      // Slightly enlarged so anti-aliased edges don't leave seams between hexes
+      const x = (center.x + (corner.x - center.x) * 1.1) * scale + offsetX;
+      const y = (center.y + (corner.y - center.y) * 1.1) * scale + offsetY;
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    });
+    ctx.closePath();
+    ctx.fillStyle = `#${this.hexGrid.getDisplayColor(data).toString(16).padStart(6, '0')}`;
+    ctx.fill();
+  }
+
+  /**
+   * Redraw unit markers if any unit moved, appeared, disappeared or changed visibility
+   */
+  updateMarkers() {
+    if (!this.markersDirty) return;
+    this.markersDirty = false;
+
+    this.markers.clear();
+    const entities = this.engine.entityManager.queryComponents(PositionComponent, RenderableComponent);
+    entities.forEach(([, position, { sprite, color }]) => {
+      // Units hidden by fog of war stay hidden here too
+      if (sprite && !sprite.visible) return;
+
+      const point = this.worldToMinimap(this.hexGrid.hexToPixel(position));
+      this.markers.circle(point.x, point.y, 2.5);
+      this.markers.fill({ color });
+      this.markers.stroke({ width: 1, color: 0x000000, alpha: 0.8 });
+    });
+  }
+
+  /**
+   * Redraw the camera rectangle if the camera moved or zoomed
+   */
+  updateViewRect() {
+    const engine = this.engine;
+    const viewKey = [
+      engine.viewportPos.x, engine.viewportPos.y, engine.scale,
+      engine.config.width, engine.config.height
+    ].join('|');
+    if (viewKey === this.viewKey) return;
+    this.viewKey = viewKey;
+
+    const bounds = engine.getWorldBounds();
+    const topLeft = this.worldToMinimap({ x: bounds.left, y: bounds.top });
+    const bottomRight = this.worldToMinimap({ x: bounds.right, y: bounds.bottom });
+
+    // Clip to the minimap so a zoomed-out view doesn't spill over the frame
+    const left = Math.max(0, topLeft.x);
+    const top = Math.max(0, topLeft.y);
+    const right = Math.min(this.width, bottomRight.x);
+    const bottom = Math.min(this.height, bottomRight.y);
+
+    this.viewRect.clear();
+    if (right > left && bottom > top) {
+      this.viewRect.rect(left, top, right - left, bottom - top);
+      this.viewRect.stroke({ width: 1, color: 0xFFFFFF, alpha: 0.9 });
+    }
+  }
+
+  drawFrame() {
+    this.frame.clear();
+    this.frame.rect(0, 0, this.width, this.height);
+    this.frame.fill({ color: 0x000000, alpha: 0.75 });
+    this.frame.stroke({ width: 1, color: 0x4CAF50, alpha: 0.5 });
+  }
+
+  /**
+   * Place the minimap in the bottom-left screen corner
+   * Call after the screen is resized
+   */
+  layout() {
+    this.container.position.set(this.margin, this.engine.config.height - this.height - this.margin);
+  }
+
+  worldToMinimap({ x, y }) {
+    const { scale, offsetX, offsetY } = this.transform;
+    return { x: x * scale + offsetX, y: y * scale + offsetY };
+  }
+
+  minimapToWorld({ x, y }) {
+    const { scale, offsetX, offsetY } = this.transform;
+    return { x: (x - offsetX) / scale, y: (y - offsetY) / scale };
+  }
+
+  /**
+   * Show or hide the minimap
+   */
+  setVisible(visible) {
+    this.visible = visible;
+    this.container.visible = visible;
+    if (!visible) this.dragPointerId = null;
+  }
+
+  /**
+   * Toggle visibility
+   * @returns {boolean} New visibility
+   */
+  toggle() {
+    this.setVisible(!this.visible);
+    return this.visible;
+  }
+
+  // ==========================================
+  // Navigation input
+  // ==========================================
+
+  /**
+   * Listen on the canvas in the capture phase, so presses on the minimap
+   * never reach the engine's InputController (no hex clicks or panning)
+   */
+  bindInput() {
+    const canvas = this.engine.app.canvas;
+
+    this.onPointerDown = (e) => {
+      const point = this.eventToLocal(e);
+      if (!this.contains(point)) return;
+      e.stopImmediatePropagation();
+      if (e.button !== 0) return;
+
+      this.dragPointerId = e.pointerId;
+      canvas.setPointerCapture(e.pointerId);
+      this.navigateTo(point);
+    };
+
+    this.onPointerMove = (e) => {
+      const point = this.eventToLocal(e);
+      if (this.dragPointerId === e.pointerId) {
+        e.stopImmediatePropagation();
+        this.navigateTo(point);
+      } else if (!this.engine.input?.isPointerDown() && this.contains(point)) {
+        // Hovering the minimap is not hovering a hex, even when the map moves under it
+        e.stopImmediatePropagation();
+        this.engine.clearHover(e, { reset: true });
+      }
+    };
+
+    this.onPointerUp = (e) => {
+      if (this.dragPointerId === e.pointerId) {
+        e.stopImmediatePropagation();
+        this.dragPointerId = null;
+      }
+    };
+
+    this.onWheel = (e) => {
+      if (this.contains(this.eventToLocal(e))) {
+        e.preventDefault();
+        e.stopImmediatePropagation();
+      }
+    };
+
+    canvas.addEventListener('pointerdown', this.onPointerDown, true);
+    canvas.addEventListener('pointermove', this.onPointerMove, true);
+    canvas.addEventListener('pointerup', this.onPointerUp, true);
+    canvas.addEventListener('pointercancel', this.onPointerUp, true);
+    canvas.addEventListener('wheel', this.onWheel, { capture: true, passive: false });
+  }
+
+  /**
+   * Convert a DOM event position to minimap-local pixels
+   */
+  eventToLocal(e) {
+    const rect = this.engine.app.canvas.getBoundingClientRect();
+    return {
+      x: e.clientX - rect.left - this.container.x,
+      y: e.clientY - rect.top - this.container.y
+    };
+  }
+
+  contains({ x, y }) {
+    return this.visible && x >= 0 && y >= 0 && x <= this.width && y <= this.height;
+  }
+
+  /**
+   * Center the main view on the world point under a minimap position
+   */
+  navigateTo(point) {
+    const world = this.minimapToWorld(point);
+    this.engine.camera.stop();
+    this.engine.camera.centerOn(world.x, world.y);
+  }
+
+  /**
+   * Remove listeners and free the canvas texture
+   */
+  destroy() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+
+    const canvas = this.engine.app.canvas;
+    canvas.removeEventListener('pointerdown', this.onPointerDown, true);
+    canvas.removeEventListener('pointermove', this.onPointerMove, true);
+    canvas.removeEventListener('pointerup', this.onPointerUp, true);
+    canvas.removeEventListener('pointercancel', this.onPointerUp, true);
+    canvas.removeEventListener('wheel', this.onWheel, { capture: true });
+
+    this.container.destroy({ children: true });
+    this.texture.destroy(true);
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * Seeded random numbers and coherent noise for procedural generation
+ * Everything here is deterministic for a given seed
+ */
+
+/**
+ * Hash a string (or number) seed to a 32-bit unsigned integer
+ */
+export function hashSeed(seed) {
+  const str = String(seed);
+  let hash = 2166136261; // FNV-1a offset basis
+
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * @param {number|string} seed
+ * @returns {Function} () => float in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = hashSeed(seed);
+
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * NoiseGenerator - Seeded 2D gradient (Perlin) noise with fractal octaves
+ */
+export class NoiseGenerator {
+  constructor(seed) {
+    const random = createRandom(seed);
+
+    // Shuffled permutation table, doubled to avoid index wrapping
+    const permutation = Array.from({ length: 256 }, (_, i) => i);
+    for (let i = 255; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [permutation[i], permutation[j]] = [permutation[j], permutation[i]];
+    }
+    this.perm = new Uint8Array(512);
+    for (let i = 0; i < 512; i++) {
+      this.perm[i] = permutation[i & 255];
+    }
+  }
+
+  /**
+   * Single octave of gradient noise
+   * @returns {number} Roughly in [-1, 1]
+   */
+  noise2D(x, y) {
+    const xi = Math.floor(x) & 255;
+    const yi = Math.floor(y) & 255;
+    const xf = x - Math.floor(x);
+    const yf = y - Math.floor(y);
+
+    const u = fade(xf);
+    const v = fade(yf);
+
+    const p = this.perm;
+    const aa = p[p[xi] + yi];
+    const ab = p[p[xi] + yi + 1];
+    const ba = p[p[xi + 1] + yi];
+    const bb = p[p[xi + 1] + yi + 1];
+
+    const x1 = lerp(grad(aa, xf, yf), grad(ba, xf - 1, yf), u);
+    const x2 = lerp(grad(ab, xf, yf - 1), grad(bb, xf - 1, yf - 1), u);
+
+    return lerp(x1, x2, v);
+  }
+
+  /**
+   * Fractal Brownian motion - sums octaves for natural-looking detail
+   * @returns {number} Roughly in [-1, 1]
+   */
+  fbm(x, y, octaves = 4, persistence = 0.5, lacunarity = 2) {
+    let total = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    let maxAmplitude = 0;
+
+    for (let i = 0; i < octaves; i++) {
+      total += this.noise2D(x * frequency, y * frequency) * amplitude;
+      maxAmplitude += amplitude;
+      amplitude *= persistence;
+      frequency *= lacunarity;
+    }
+
+    return total / maxAmplitude;
+  }
+
+  /**
+   * Ridged noise - sharp crests along noise zero-crossings (mountain ranges)
+   * @returns {number} In [0, 1], 1 on ridge lines
+   */
+  ridged(x, y, octaves = 4) {
+    return 1 - Math.abs(this.fbm(x, y, octaves));
+  }
+}
+
+function fade(t) {
+  return t * t * t * (t * (t * 6 - 15) + 10);
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+function grad(hash, x, y) {
+  // 8 gradient directions
+  switch (hash & 7) {
+    case 0: return x + y;
+    case 1: return x - y;
+    case 2: return -x + y;
+    case 3: return -x - y;
+    case 4: return x;
+    case 5: return -x;
+    case 6: return y;
+    default: return -y;
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * PriorityQueue - Binary min-heap keyed by numeric priority
+ * Used by pathfinding and other graph searches over the hex grid
+ */
+export class PriorityQueue {
+  constructor() {
+    this.heap = []; // Array of {item, priority}
+  }
+
+  /**
+   * Add an item with the given priority
+   * Performance: O(log n)
+   */
+  push(item, priority) {
+    this.heap.push({ item, priority });
+    this.bubbleUp(this.heap.length - 1);
+  }
+
+  /**
+   * Remove and return the item with the lowest priority
+   * Performance: O(log n)
+   */
+  pop() {
+    if (this.heap.length === 0) return undefined;
+
+    const top = this.heap[0];
+    const last = this.heap.pop();
+
+    if (this.heap.length > 0) {
+      this.heap[0] = last;
+      this.sinkDown(0);
+    }
+
+    return top.item;
+  }
+
+  /**
+   * Number of queued items
+   */
+  get size() {
+    return this.heap.length;
+  }
+
+  /**
+   * Check if the queue is empty
+   */
+  isEmpty() {
+    return this.heap.length === 0;
+  }
+
+  bubbleUp(index) {
+    const node = this.heap[index];
+
+    while (index > 0) {
+      const parentIndex = (index - 1) >> 1;
+      const parent = this.heap[parentIndex];
+      if (node.priority >= parent.priority) break;
+
+      this.heap[index] = parent;
+      index = parentIndex;
+    }
+
+    this.heap[index] = node;
+  }
+
+  sinkDown(index) {
+    const length = this.heap.length;
+    const node = this.heap[index];
+
+    while (true) {
+      const left = index * 2 + 1;
+      const right = left + 1;
+      let smallest = index;
+      let smallestPriority = node.priority;
+
+      if (left < length && this.heap[left].priority < smallestPriority) {
+        smallest = left;
+        smallestPriority = this.heap[left].priority;
+      }
+      if (right < length && this.heap[right].priority < smallestPriority) {
+        smallest = right;
+      }
+      if (smallest === index) break;
+
+      this.heap[index] = this.heap[smallest];
+      index = smallest;
+    }
+
+    this.heap[index] = node;
+  }
+}
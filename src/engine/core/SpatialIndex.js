@@ -0,0 +1,155 @@
+import { Hex } from './Hex.js';
+
+/**
+ * SpatialIndex - Entities by the hex they stand on
+ * The EntityManager keeps it in sync as PositionComponents are added,
+ * removed or replaced, and when entities move with moveEntity(). Changing
+ * a position's q/r directly bypasses the index.
+ *
+ * Optional stacking rules limit how many entities fit on a hex: a global
+ * `maxPerHex` and a per-hex `capacity(hex)` callback (the engine derives it
+ * from terrain). The index only answers canPlace(); callers enforce it.
+ */
+export class SpatialIndex {
+  constructor() {
+    this.cells = new Map(); // hex key -> Set<entityId>
+    this.entityKeys = new Map(); // entityId -> hex key
+
+    this.maxPerHex = Infinity;
+    this.capacity = null; // (hex) => number|null, null = only maxPerHex applies
+  }
+
+  /**
+   * Add an entity at a hex, or move it there if already indexed
+   */
+  insert(entityId, hex) {
+    const key = `${hex.q},${hex.r}`;
+    const previous = this.entityKeys.get(entityId);
+    if (previous === key) return;
+    if (previous !== undefined) this.remove(entityId);
+
+    let ids = this.cells.get(key);
+    if (!ids) {
+      ids = new Set();
+      this.cells.set(key, ids);
+    }
+    ids.add(entityId);
+    this.entityKeys.set(entityId, key);
+  }
+
+  remove(entityId) {
+    const key = this.entityKeys.get(entityId);
+    if (key === undefined) return;
+
+    const ids = this.cells.get(key);
+    ids.delete(entityId);
+    if (ids.size === 0) this.cells.delete(key); // Keep cells limited to occupied hexes
+    this.entityKeys.delete(entityId);
+  }
+
+  clear() {
+    this.cells.clear();
+    this.entityKeys.clear();
+  }
+
+  /**
+   * Ids of the entities on a hex
+   * @returns {Array<number>}
+   */
+  entitiesAt(hex) {
+    const ids = this.cells.get(`${hex.q},${hex.r}`);
+    return ids ? Array.from(ids) : [];
+  }
+
+  /**
+   * Number of entities on a hex
+   */
+  countAt(hex) {
+    const ids = this.cells.get(`${hex.q},${hex.r}`);
+    return ids ? ids.size : 0;
+  }
+
+  /**
+   * Ids of the entities within `range` steps of a hex (the hex included)
+   * Walks whichever is smaller: the hexes in range or the occupied hexes
+   * @returns {Array<number>}
+   */
+  entitiesInRange(hex, range) {
+    const result = [];
+    const hexesInRange = 3 * range * (range + 1) + 1;
+
+    if (hexesInRange <= this.cells.size) {
+      new Hex(hex.q, hex.r).range(range).forEach(next => {
+        const ids = this.cells.get(next.key());
+        if (ids) ids.forEach(id => result.push(id));
+      });
+    } else {
+      const center = new Hex(hex.q, hex.r);
+      this.cells.forEach((ids, key) => {
+        const [q, r] = key.split(',').map(Number);
+        if (center.distanceTo({ q, r }) <= range) ids.forEach(id => result.push(id));
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Ids of the entities on any hex of a region
+   * @param {Iterable<Hex|string>} region - Hexes or hex keys (e.g. a Set from getOccupiedHexes or the keys of a movement range)
+   * @returns {Array<number>}
+   */
+  entitiesInRegion(region) {
+    const result = [];
+    for (const hex of region) {
+      const ids = this.cells.get(typeof hex === 'string' ? hex : `${hex.q},${hex.r}`);
+      if (ids) ids.forEach(id => result.push(id));
+    }
+    return result;
+  }
+
+  /**
+   * Keys of all hexes that hold an entity
+   * @param {number} excludeEntityId - Entity to ignore (e.g. the unit that is moving)
+   * @returns {Set<string>}
+   */
+  occupiedKeys(excludeEntityId = null) {
+    const occupied = new Set();
+    this.cells.forEach((ids, key) => {
+      if (ids.size > 1 || !ids.has(excludeEntityId)) occupied.add(key);
+    });
+    return occupied;
+  }
+
+  // ==========================================
+  // Stacking rules
+  // ==========================================
+
+  /**
+   * Set the stacking rules
+   * @param {Object} rules - {maxPerHex, capacity: (hex) => number|null}
+   */
+  setStackingRules({ maxPerHex = Infinity, capacity = null } = {}) {
+    this.maxPerHex = maxPerHex;
+    this.capacity = capacity;
+  }
+
+  /**
+   * How many entities a hex can hold
+   */
+  capacityAt(hex) {
+    const capacity = this.capacity ? this.capacity(hex) : null;
+    return Math.min(this.maxPerHex, capacity ?? Infinity);
+  }
+
+  /**
+   * Check whether one more entity fits on a hex
+   * @param {number} entityId - Entity being moved; doesn't count against its own hex
+   */
+  canPlace(hex, entityId = null) {
+    const ids = this.cells.get(`${hex.q},${hex.r}`);
+    let count = ids ? ids.size : 0;
+    if (ids && ids.has(entityId)) count--;
+    return count < this.capacityAt(hex);
+  }
+}
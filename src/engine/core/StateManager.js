@@ -11,6 +11,8 @@ export class StateManager {
 
   /**
    * Capture current game state
+   * `viewport` is the camera view {x, y, scale} (HexEngine.getViewport), not the
+   * Pixi container, whose position includes any camera shake in progress
    */
   captureState(components) {
     const state = {
@@ -19,10 +21,11 @@ export class StateManager {
       grid: components.hexGrid ? components.hexGrid.serialize() : null,
       entities: components.entityManager ? components.entityManager.serialize() : [],
       turn: components.turnManager ? components.turnManager.currentTurn : 0,
+      visibility: components.visibilitySystem ? components.visibilitySystem.serialize() : null,
       viewport: components.viewport ? {
         x: components.viewport.x,
         y: components.viewport.y,
-        scale: components.viewport.scale.x
+        scale: components.viewport.scale
       } : null
     };
 
@@ -75,7 +78,8 @@ export class StateManager {
    * Restore state to engine components
    * @param {Object} state - State object to restore
    * @param {Object} components - Engine components to restore into
-   * @param {Object} componentRegistry - Map of component type names to constructors
+   *   (setViewport: callback receiving {x, y, scale} to apply the saved camera)
+   * @param {ComponentRegistry} componentRegistry - Component classes by type id
    */
   restoreState(state, components, componentRegistry) {
     // Restore entities
@@ -84,7 +88,16 @@ export class StateManager {
       console.log(`Restored ${state.entities.length} entities`);
     }
 
-    // TODO(phase3): Restore viewport position and scale
+    // Restore fog of war explored memory
+    if (state.visibility && components.visibilitySystem) {
+      components.visibilitySystem.deserialize(state.visibility);
+    }
+
+    // Restore viewport position and scale
+    if (state.viewport && components.setViewport) {
+      components.setViewport(state.viewport);
+    }
+
     // TODO(phase4): Restore turn state and game logic state
 
     return state;
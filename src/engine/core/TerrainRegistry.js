@@ -0,0 +1,272 @@
+import * as PIXI from 'pixi.js';
+
+/**
+ * Built-in terrain types
+ * Saves refer to terrain by `id`, so ids must never change once shipped
+ */
+export const DEFAULT_TERRAIN_TYPES = [
+  { id: 'grass', name: 'Grass', color: 0x4CAF50, cost: 1, blocksSight: false, defense: 0 },
+  { id: 'water', name: 'Water', color: 0x2196F3, cost: 2, blocksSight: false, defense: 0 },
+  { id: 'mountain', name: 'Mountain', color: 0x9E9E9E, cost: 3, blocksSight: true, defense: 2 },
+  { id: 'desert', name: 'Desert', color: 0xFFEB3B, cost: 1, blocksSight: false, defense: 0 },
+  { id: 'forest', name: 'Forest', color: 0x1B5E20, cost: 2, blocksSight: true, defense: 1 }
+];
+
+/**
+ * Built-in edge (hex side) features
+ * style 'side' draws along the shared side, 'link' draws between the two hex centers
+ */
+export const DEFAULT_EDGE_FEATURES = [
+  { id: 'river', name: 'River', color: 0x1E88E5, width: 6, style: 'side', crossingCost: 2 },
+  { id: 'wall', name: 'Wall', color: 0x4E342E, width: 5, style: 'side', blocksMovement: true, blocksSight: true },
+  { id: 'road', name: 'Road', color: 0xA1887F, width: 4, style: 'link', movementCost: 0.5 }
+];
+
+/**
+ * Built-in vertex (hex corner) features
+ */
+export const DEFAULT_VERTEX_FEATURES = [
+  { id: 'tower', name: 'Tower', color: 0xECEFF1, radius: 6 }
+];
+
+/**
+ * TerrainRegistry - Data-driven terrain type definitions
+ *
+ * A terrain definition looks like:
+ *   {
+ *     id: 'swamp',            // Stable identifier used in saves (required)
+ *     name: 'Swamp',          // Display name (defaults to id)
+ *     color: 0x556B2F,        // Fill color (number or '#RRGGBB')
+ *     texture: 'swamp.png',   // Optional texture URL, loaded by loadTextures()
+ *     cost: 3,                // Movement cost
+ *     passable: true,         // false = cannot be entered
+ *     blocksSight: false,     // Blocks line of sight
+ *     defense: 1,             // Defense bonus for units standing here
+ *     capacity: 2,            // Max units on one hex (null = engine maxPerHex)
+ *     properties: {}          // Arbitrary game-specific data
+ *   }
+ *
+ * Edge features (rivers, walls, roads) sit on hex sides:
+ *   {
+ *     id: 'canal', name: 'Canal', color: 0x0288D1,
+ *     width: 5,               // Line width in pixels
+ *     style: 'side',          // 'side' (along the side) or 'link' (center to center)
+ *     crossingCost: 1,        // Added to the cost of stepping across
+ *     movementCost: null,     // Replaces the terrain cost when stepping across (roads)
+ *     blocksMovement: false,  // Cannot be crossed
+ *     blocksSight: false,     // Blocks line of sight across the side
+ *     properties: {}
+ *   }
+ *
+ * Vertex features sit on hex corners: {id, name, color, radius, properties}
+ *
+ * Definitions can be registered from JS or loaded from a JSON file holding
+ * either an array of terrain definitions or
+ * {terrainTypes: [...], edgeFeatures: [...], vertexFeatures: [...]}.
+ */
+export class TerrainRegistry {
+  constructor(definitions = DEFAULT_TERRAIN_TYPES) {
+    this.types = new Map(); // id -> terrain definition
+    this.edgeFeatures = new Map(); // id -> edge feature definition
+    this.vertexFeatures = new Map(); // id -> vertex feature definition
+
+    this.registerAll(definitions);
+    DEFAULT_EDGE_FEATURES.forEach(definition => this.registerEdgeFeature(definition));
+    DEFAULT_VERTEX_FEATURES.forEach(definition => this.registerVertexFeature(definition));
+  }
+
+  /**
+   * Register a terrain type (replaces an existing type with the same id)
+   * @param {Object} definition
+   * @returns {Object} Normalized terrain definition
+   */
+  register(definition) {
+    validateId(definition, 'Terrain');
+    if (definition.color === undefined && !definition.texture) {
+      throw new Error(`Terrain "${definition.id}" requires a color or texture`);
+    }
+
+    const terrain = {
+      id: definition.id,
+      name: definition.name || definition.id,
+      color: parseColor(definition.color ?? 0xFFFFFF),
+      texture: definition.texture || null,
+      cost: definition.cost ?? 1,
+      passable: definition.passable ?? true,
+      blocksSight: definition.blocksSight ?? false,
+      defense: definition.defense ?? 0,
+      capacity: definition.capacity ?? null,
+      properties: { ...definition.properties },
+      textureObject: null // Set by loadTextures()
+    };
+
+    this.types.set(terrain.id, terrain);
+    return terrain;
+  }
+
+  /**
+   * Register an edge feature type (replaces an existing type with the same id)
+   * @param {Object} definition
+   * @returns {Object} Normalized feature definition
+   */
+  registerEdgeFeature(definition) {
+    validateId(definition, 'Edge feature');
+
+    const feature = {
+      id: definition.id,
+      name: definition.name || definition.id,
+      color: parseColor(definition.color ?? 0xFFFFFF),
+      width: definition.width ?? 4,
+      style: definition.style === 'link' ? 'link' : 'side',
+      crossingCost: definition.crossingCost ?? 0,
+      movementCost: definition.movementCost ?? null,
+      blocksMovement: definition.blocksMovement ?? false,
+      blocksSight: definition.blocksSight ?? false,
+      properties: { ...definition.properties }
+    };
+
+    this.edgeFeatures.set(feature.id, feature);
+    return feature;
+  }
+
+  /**
+   * Register a vertex feature type (replaces an existing type with the same id)
+   * @param {Object} definition
+   * @returns {Object} Normalized feature definition
+   */
+  registerVertexFeature(definition) {
+    validateId(definition, 'Vertex feature');
+
+    const feature = {
+      id: definition.id,
+      name: definition.name || definition.id,
+      color: parseColor(definition.color ?? 0xFFFFFF),
+      radius: definition.radius ?? 5,
+      properties: { ...definition.properties }
+    };
+
+    this.vertexFeatures.set(feature.id, feature);
+    return feature;
+  }
+
+  /**
+   * Register several terrain types
+   * @param {Array<Object>} definitions
+   */
+  registerAll(definitions) {
+    definitions.forEach(definition => this.register(definition));
+  }
+
+  /**
+   * Load terrain types from a JSON file and register them
+   * @param {string} url
+   */
+  async loadFromURL(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load terrain types from ${url}: ${response.status}`);
+    }
+    this.registerFromJSON(await response.json());
+  }
+
+  /**
+   * Register types from parsed JSON
+   * (array of terrain types or {terrainTypes, edgeFeatures, vertexFeatures})
+   */
+  registerFromJSON(json) {
+    const definitions = Array.isArray(json) ? json : json.terrainTypes;
+    if (!Array.isArray(definitions)) {
+      throw new Error('Terrain JSON must be an array or {terrainTypes: [...]}');
+    }
+    this.registerAll(definitions);
+
+    (json.edgeFeatures || []).forEach(definition => this.registerEdgeFeature(definition));
+    (json.vertexFeatures || []).forEach(definition => this.registerVertexFeature(definition));
+  }
+
+  /**
+   * Load textures for all terrain types that declare one
+   */
+  async loadTextures() {
+    const textured = this.list().filter(terrain => terrain.texture);
+
+    await Promise.all(textured.map(async terrain => {
+      terrain.textureObject = await PIXI.Assets.load(terrain.texture);
+    }));
+  }
+
+  /**
+   * Get a terrain type by id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.types.get(id) || null;
+  }
+
+  /**
+   * Get a terrain type by id, throwing if it isn't registered
+   * @returns {Object}
+   */
+  require(id) {
+    return requireType(this.types, id, 'terrain');
+  }
+
+  /**
+   * Get an edge feature type by id, throwing if it isn't registered
+   */
+  requireEdgeFeature(id) {
+    return requireType(this.edgeFeatures, id, 'edge feature');
+  }
+
+  /**
+   * Get a vertex feature type by id, throwing if it isn't registered
+   */
+  requireVertexFeature(id) {
+    return requireType(this.vertexFeatures, id, 'vertex feature');
+  }
+
+  has(id) {
+    return this.types.has(id);
+  }
+
+  /**
+   * All registered terrain types, in registration order
+   */
+  list() {
+    return Array.from(this.types.values());
+  }
+
+  ids() {
+    return Array.from(this.types.keys());
+  }
+
+  listEdgeFeatures() {
+    return Array.from(this.edgeFeatures.values());
+  }
+
+  listVertexFeatures() {
+    return Array.from(this.vertexFeatures.values());
+  }
+}
+
+function validateId(definition, label) {
+  if (!definition || typeof definition.id !== 'string' || definition.id === '') {
+    throw new Error(`${label} definition requires a string "id"`);
+  }
+}
+
+function requireType(types, id, label) {
+  const type = types.get(id);
+  if (!type) {
+    throw new Error(`Unknown ${label} "${id}" (registered: ${Array.from(types.keys()).join(', ')})`);
+  }
+  return type;
+}
+
+/**
+ * Accept 0xRRGGBB numbers or '#RRGGBB' strings (JSON has no hex literals)
+ */
+function parseColor(color) {
+  if (typeof color === 'number') return color;
+  return parseInt(String(color).replace('#', '').replace(/^0x/i, ''), 16);
+}
@@ -0,0 +1,9 @@
+/**
+ * Per-hex visibility states for fog of war
+ * Lives in core so the grid can shade hexes without depending on systems
+ */
+export const VisibilityState = {
+  UNEXPLORED: 0, // Never seen
+  EXPLORED: 1,   // Seen before, not currently in sight
+  VISIBLE: 2     // Currently in sight of a unit
+};
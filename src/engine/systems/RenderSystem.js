@@ -1,33 +1,50 @@
 import * as PIXI from 'pixi.js';
+import { VisibilityState } from '../core/VisibilityState.js';
+import { PositionComponent, RenderableComponent, FactionComponent } from '../core/Components.js';
+import { System } from './System.js';
 
 /**
  * RenderSystem - Renders entities with PositionComponent and RenderableComponent
- * Handles sprite creation, updates, and cleanup
+ * Sprites are created lazily in update() and destroyed in reaction to entity
+ * events, when their entity or one of the two components goes away.
  */
-export class RenderSystem {
-  constructor(entityManager, hexGrid) {
+export class RenderSystem extends System {
+  /**
+   * @param {Object} config - System scheduling options (see System)
+   */
+  constructor(entityManager, hexGrid, visibilitySystem = null, config = {}) {
+    super({ name: 'render', ...config });
     this.entityManager = entityManager;
     this.hexGrid = hexGrid;
+    this.visibilitySystem = visibilitySystem; // Optional, hides entities under fog of war
     this.container = new PIXI.Container();
     this.container.zIndex = 100; // Render above hex grid
+
+    this.unsubscribers = [
+      entityManager.onComponentRemoved(RenderableComponent, ({ component }) => this.removeSprite(component)),
+      // Without a position the entity isn't drawn; a new sprite is made if it gets one back
+      entityManager.onComponentRemoved(PositionComponent, ({ entityId }) => {
+        if (entityManager.hasComponent(entityId, PositionComponent)) return; // Replaced, still drawn
+        const renderable = entityManager.getComponent(entityId, RenderableComponent);
+        if (renderable) this.removeSprite(renderable);
+      })
+    ];
   }
 
   /**
    * Update - render all entities with Position and Renderable components
    */
   update() {
-    const entities = this.entityManager.query('PositionComponent', 'RenderableComponent');
-    const activeEntityIds = new Set();
+    const entities = this.entityManager.query(PositionComponent, RenderableComponent);
 
     entities.forEach(({ entityId, components }) => {
-      activeEntityIds.add(entityId);
-      const position = components.get('PositionComponent');
-      const renderable = components.get('RenderableComponent');
+      const position = components.get(PositionComponent.type);
+      const renderable = components.get(RenderableComponent.type);
 
       // Create sprite if it doesn't exist
       if (!renderable.sprite) {
         renderable.sprite = this.createSprite(renderable);
-        renderable.sprite.entityId = entityId; // Tag sprite with entity ID for cleanup
+        renderable.sprite.entityId = entityId;
         this.container.addChild(renderable.sprite);
       }
 
@@ -35,23 +52,42 @@ export class RenderSystem {
       const pixelPos = this.hexGrid.hexToPixel({ q: position.q, r: position.r });
       renderable.sprite.x = pixelPos.x;
       renderable.sprite.y = pixelPos.y;
+      renderable.sprite.visible = this.isEntityVisible(components, position);
     });
 
-    // Clean up sprites for destroyed entities
-    const spritesToRemove = [];
-    this.container.children.forEach(sprite => {
-      if (sprite.entityId !== undefined && !activeEntityIds.has(sprite.entityId)) {
-        spritesToRemove.push(sprite);
-      }
-    });
+    // TODO(phase5): Implement sprite pooling for better performance
+    // Currently creating/destroying sprites each time
+  }
+
+  /**
+   * Destroy a renderable's sprite, if it has one
+   */
+  removeSprite(renderable) {
+    const sprite = renderable.sprite;
+    if (!sprite) return;
 
-    spritesToRemove.forEach(sprite => {
+    renderable.sprite = null;
+    if (!sprite.destroyed) {
       this.container.removeChild(sprite);
       sprite.destroy();
-    });
+    }
+  }
 
-    // TODO(phase5): Implement sprite pooling for better performance
-    // Currently creating/destroying sprites each time
+  /**
+   * Check whether an entity should be drawn under fog of war
+   * The viewer's own units are always shown; others only on visible hexes
+   */
+  isEntityVisible(components, position) {
+    if (!this.visibilitySystem || !this.visibilitySystem.isFogActive()) {
+      return true;
+    }
+
+    const faction = components.get(FactionComponent.type);
+    if (faction && faction.faction === this.visibilitySystem.viewerFaction) {
+      return true;
+    }
+
+    return this.visibilitySystem.getViewerState(position) === VisibilityState.VISIBLE;
   }
 
   /**
@@ -93,10 +129,18 @@ export class RenderSystem {
   }
 
   /**
-   * Clean up all sprites
+   * Point the system at a different grid (sprites reposition on next update)
+   */
+  setHexGrid(hexGrid) {
+    this.hexGrid = hexGrid;
+  }
+
+  /**
+   * Clean up all sprites and stop listening to entity events
    */
   destroy() {
-    this.container.removeChildren();
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.entityManager.queryComponents(RenderableComponent).forEach(([, renderable]) => this.removeSprite(renderable));
     this.container.destroy({ children: true });
   }
 }
@@ -0,0 +1,52 @@
+/**
+ * System - Base class for engine systems run by the SystemScheduler
+ *
+ * Subclasses override update(deltaMS). Scheduling options (constructor config):
+ *   name      - Unique id, used for dependencies, enabling and timings (required)
+ *   fixed     - true: runs in the fixed-timestep simulation (deltaMS is always the
+ *               fixed step, possibly several times per frame); false: once per frame
+ *   priority  - Lower runs first among systems with no dependency between them (default 0)
+ *   after     - Names of systems that must run before this one
+ *   before    - Names of systems that must run after this one
+ *   enabled   - Start enabled (default true)
+ *
+ * Fixed systems always run before frame systems; dependencies only order
+ * systems within the same group.
+ */
+export class System {
+  constructor(config = {}) {
+    this.name = config.name ?? null;
+    this.fixed = config.fixed ?? false;
+    this.priority = config.priority ?? 0;
+    this.after = config.after ?? [];
+    this.before = config.before ?? [];
+    this.enabled = config.enabled ?? true;
+    this.engine = null; // Set when added to an engine
+  }
+
+  /**
+   * Called once when the system is added to an engine
+   * @param {HexEngine} engine
+   */
+  init(engine) {
+    this.engine = engine;
+  }
+
+  /**
+   * Advance the system
+   * @param {number} deltaMS - Fixed step for fixed systems, frame time otherwise
+   */
+  update(deltaMS) {}
+
+  /**
+   * Enable or disable; disabled systems are skipped (and shown as off in the debug overlay)
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled;
+  }
+
+  /**
+   * Called when the system is removed or the engine is destroyed
+   */
+  destroy() {}
+}
@@ -0,0 +1,198 @@
+/**
+ * SystemScheduler - Orders, runs and times systems
+ *
+ * Each frame: fixed systems run in whole fixed-size steps, as many as the
+ * elapsed time allows (capped at maxFixedSteps, so a stall doesn't trigger
+ * a spiral of catch-up steps); then frame systems run once with the frame
+ * time. Leftover time carries over; `alpha` (0-1) is how far the frame is
+ * between the last fixed step and the next, for interpolating visuals.
+ *
+ * Order within each group follows `after`/`before` dependencies, then
+ * priority, then registration order.
+ *
+ * The optional `flush` callback runs before each system (the engine uses it
+ * to deliver queued entity events), so a system sees the reactions to
+ * changes made by the systems before it.
+ */
+export class SystemScheduler {
+  constructor(config = {}) {
+    this.fixedStep = config.fixedStep ?? 1000 / 60; // Milliseconds per simulation step
+    this.maxFixedSteps = config.maxFixedSteps ?? 5; // Per frame
+    this.flush = config.flush ?? null; // Called before each system runs
+
+    this.systems = new Map(); // name -> System, in registration order
+    this.fixedOrder = null; // Sorted fixed systems (null = recompute)
+    this.frameOrder = null; // Sorted frame systems (null = recompute)
+
+    this.accumulator = 0;
+    this.alpha = 0;
+    this.fixedSteps = 0; // Steps run in the last update
+    this.times = {}; // name -> milliseconds spent in the last update (null if disabled)
+  }
+
+  /**
+   * Register a system
+   * @param {System} system - Must have a unique name
+   * @returns {System}
+   */
+  add(system) {
+    if (!system.name) {
+      throw new Error('System needs a name');
+    }
+    if (this.systems.has(system.name)) {
+      throw new Error(`System "${system.name}" is already registered`);
+    }
+
+    this.systems.set(system.name, system);
+    this.invalidateOrder();
+    return system;
+  }
+
+  /**
+   * Unregister a system
+   * @returns {System|null} The removed system
+   */
+  remove(name) {
+    const system = this.systems.get(name);
+    if (!system) return null;
+
+    this.systems.delete(name);
+    delete this.times[name];
+    this.invalidateOrder();
+    return system;
+  }
+
+  get(name) {
+    return this.systems.get(name) || null;
+  }
+
+  has(name) {
+    return this.systems.has(name);
+  }
+
+  /**
+   * Enable or disable a system by name
+   */
+  setEnabled(name, enabled) {
+    this.require(name).setEnabled(enabled);
+  }
+
+  /**
+   * All systems in run order (fixed systems first)
+   * @returns {Array<System>}
+   */
+  list() {
+    this.resolveOrder();
+    return [...this.fixedOrder, ...this.frameOrder];
+  }
+
+  require(name) {
+    const system = this.systems.get(name);
+    if (!system) {
+      throw new Error(`Unknown system "${name}" (registered: ${Array.from(this.systems.keys()).join(', ')})`);
+    }
+    return system;
+  }
+
+  /**
+   * Run fixed steps for the elapsed time, then every frame system once
+   * @param {number} deltaMS - Milliseconds since the last frame
+   */
+  update(deltaMS) {
+    this.resolveOrder();
+    this.times = {};
+    this.list().forEach(system => {
+      this.times[system.name] = system.enabled ? 0 : null;
+    });
+
+    // Drop time that would need more than maxFixedSteps to catch up
+    this.accumulator = Math.min(this.accumulator + deltaMS, this.fixedStep * this.maxFixedSteps);
+    this.fixedSteps = 0;
+    while (this.accumulator >= this.fixedStep) {
+      this.runSystems(this.fixedOrder, this.fixedStep);
+      this.accumulator -= this.fixedStep;
+      this.fixedSteps++;
+    }
+    this.alpha = this.accumulator / this.fixedStep;
+
+    this.runSystems(this.frameOrder, deltaMS);
+    if (this.flush) this.flush(); // Changes made by the last system are delivered this frame too
+  }
+
+  /**
+   * Run systems in order, adding each one's time to `times`
+   */
+  runSystems(systems, deltaMS) {
+    systems.forEach(system => {
+      if (!system.enabled) return;
+      if (this.flush) this.flush();
+
+      const start = performance.now();
+      system.update(deltaMS);
+      this.times[system.name] += performance.now() - start;
+    });
+  }
+
+  invalidateOrder() {
+    this.fixedOrder = null;
+    this.frameOrder = null;
+  }
+
+  resolveOrder() {
+    if (this.fixedOrder && this.frameOrder) return;
+
+    const all = Array.from(this.systems.values());
+    this.fixedOrder = sortSystems(all.filter(system => system.fixed), this.systems);
+    this.frameOrder = sortSystems(all.filter(system => !system.fixed), this.systems);
+  }
+}
+
+/**
+ * Topologically sort systems by their after/before dependencies
+ * Ties go to the lower priority, then the earlier registration
+ * Dependencies on systems in the other group (fixed vs frame) are already
+ * satisfied by fixed systems running first, and are ignored here
+ */
+function sortSystems(systems, registered) {
+  const group = new Map(systems.map((system, index) => [system.name, { system, index }]));
+  const edges = new Map(systems.map(system => [system.name, new Set()])); // name -> names that must run after it
+  const incoming = new Map(systems.map(system => [system.name, 0]));
+
+  const addEdge = (from, to) => {
+    if (!group.has(from) || !group.has(to) || edges.get(from).has(to)) return;
+    edges.get(from).add(to);
+    incoming.set(to, incoming.get(to) + 1);
+  };
+
+  systems.forEach(system => {
+    [...system.after, ...system.before].forEach(name => {
+      if (!registered.has(name)) {
+        throw new Error(`System "${system.name}" depends on unknown system "${name}"`);
+      }
+    });
+    system.after.forEach(name => addEdge(name, system.name));
+    system.before.forEach(name => addEdge(system.name, name));
+  });
+
+  const compare = (a, b) => a.system.priority - b.system.priority || a.index - b.index;
+  const ready = systems.filter(system => incoming.get(system.name) === 0).map(system => group.get(system.name));
+  const sorted = [];
+
+  while (ready.length > 0) {
+    ready.sort(compare);
+    const { system } = ready.shift();
+    sorted.push(system);
+
+    edges.get(system.name).forEach(name => {
+      incoming.set(name, incoming.get(name) - 1);
+      if (incoming.get(name) === 0) ready.push(group.get(name));
+    });
+  }
+
+  if (sorted.length < systems.length) {
+    const cycle = systems.filter(system => !sorted.includes(system)).map(system => system.name);
+    throw new Error(`System dependency cycle between: ${cycle.join(', ')}`);
+  }
+
+  return sorted;
+}
@@ -0,0 +1,239 @@
+import { Hex } from '../core/Hex.js';
+import { PositionComponent, FactionComponent, VisionComponent } from '../core/Components.js';
+import { EventEmitter } from '../core/EventEmitter.js';
+import { System } from './System.js';
+import { VisibilityState } from '../core/VisibilityState.js';
+
+export { VisibilityState }; // Re-exported for existing imports
+
+/**
+ * VisibilitySystem - Computes what each faction can see (fog of war)
+ * Uses FactionComponent + PositionComponent, with sight radius from
+ * VisionComponent and terrain occlusion from HexGrid.hasLineOfSight
+ * Emits 'viewerchange' {changedKeys} when hexes enter or leave the viewer's sight
+ */
+export class VisibilitySystem extends System {
+  constructor(entityManager, hexGrid, config = {}) {
+    super({ name: 'visibility', ...config });
+    this.entityManager = entityManager;
+    this.hexGrid = hexGrid;
+    this.fogEnabled = config.fogEnabled ?? false;
+    this.viewerFaction = config.viewerFaction ?? null; // Faction whose view is rendered
+    this.defaultSightRadius = config.defaultSightRadius ?? 3;
+
+    this.factions = new Map(); // faction -> {visible: Set<key>, explored: Set<key>}
+    this.lastSignature = null; // Unit positions/ranges at last recompute
+    this.changedKeys = new Set(); // Hexes whose viewer state changed in the last update
+    this.events = new EventEmitter();
+  }
+
+  /**
+   * Subscribe to visibility events
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, listener) {
+    return this.events.on(event, listener);
+  }
+
+  /**
+   * Recompute visibility if any unit moved, spawned, or was removed
+   * @returns {boolean} true if the viewer's visibility changed (see changedKeys)
+   */
+  update() {
+    const units = this.collectUnits();
+    const signature = units.map(u => `${u.faction}@${u.hex.key()}/${u.range}`).join('|');
+
+    if (signature === this.lastSignature) {
+      return false;
+    }
+    this.lastSignature = signature;
+
+    // Remember the viewer's sight to diff against afterwards
+    const viewerData = this.factions.get(this.viewerFaction);
+    const previousVisible = new Set(viewerData ? viewerData.visible : []);
+
+    // Reset current sight, keep explored memory
+    this.factions.forEach(data => data.visible.clear());
+
+    units.forEach(({ faction, hex, range }) => {
+      const data = this.getFactionData(faction);
+      this.computeFieldOfView(hex, range).forEach(key => {
+        data.visible.add(key);
+        data.explored.add(key);
+      });
+    });
+
+    this.collectViewerChanges(previousVisible);
+    if (this.changedKeys.size === 0) {
+      return false;
+    }
+
+    this.events.emit('viewerchange', { changedKeys: this.changedKeys });
+    return true;
+  }
+
+  /**
+   * Record which hexes changed state for the viewer since the last update
+   * (entered or left sight; newly explored hexes are always entering sight)
+   */
+  collectViewerChanges(previousVisible) {
+    this.changedKeys.clear();
+
+    const viewerData = this.factions.get(this.viewerFaction);
+    const visible = viewerData ? viewerData.visible : new Set();
+
+    previousVisible.forEach(key => {
+      if (!visible.has(key)) this.changedKeys.add(key);
+    });
+    visible.forEach(key => {
+      if (!previousVisible.has(key)) this.changedKeys.add(key);
+    });
+  }
+
+  /**
+   * Force a full recompute on the next update (e.g. terrain changed sight lines)
+   */
+  invalidate() {
+    this.lastSignature = null;
+  }
+
+  /**
+   * Gather all units that contribute vision
+   */
+  collectUnits() {
+    const units = [];
+
+    this.entityManager.query(PositionComponent, FactionComponent).forEach(({ entityId, components }) => {
+      const position = components.get(PositionComponent.type);
+      const vision = components.get(VisionComponent.type);
+      units.push({
+        entityId,
+        faction: components.get(FactionComponent.type).faction,
+        hex: new Hex(position.q, position.r),
+        range: vision ? vision.range : this.defaultSightRadius
+      });
+    });
+
+    // Stable order so the signature only changes when units do
+    return units.sort((a, b) => a.entityId - b.entityId);
+  }
+
+  /**
+   * Get the keys of all on-grid hexes visible from an origin
+   * @param {Hex} origin
+   * @param {number} radius - Sight radius in hexes
+   * @returns {Set<string>}
+   */
+  computeFieldOfView(origin, radius) {
+    const visible = new Set();
+
+    origin.range(radius).forEach(hex => {
+      if (this.hexGrid.getHex(hex.q, hex.r) && this.hexGrid.hasLineOfSight(origin, hex)) {
+        visible.add(hex.key());
+      }
+    });
+
+    return visible;
+  }
+
+  /**
+   * Get (or create) the visibility sets for a faction
+   */
+  getFactionData(faction) {
+    if (!this.factions.has(faction)) {
+      this.factions.set(faction, { visible: new Set(), explored: new Set() });
+    }
+    return this.factions.get(faction);
+  }
+
+  /**
+   * Get the visibility state of a hex for a faction
+   * @returns {number} VisibilityState value
+   */
+  getState(faction, hex) {
+    const data = this.factions.get(faction);
+    if (!data) return VisibilityState.UNEXPLORED;
+
+    const key = `${hex.q},${hex.r}`;
+    if (data.visible.has(key)) return VisibilityState.VISIBLE;
+    if (data.explored.has(key)) return VisibilityState.EXPLORED;
+    return VisibilityState.UNEXPLORED;
+  }
+
+  /**
+   * Get the visibility state of a hex as rendered for the viewer
+   * Everything is visible while fog is disabled or no viewer is set
+   */
+  getViewerState(hex) {
+    if (!this.isFogActive()) {
+      return VisibilityState.VISIBLE;
+    }
+    return this.getState(this.viewerFaction, hex);
+  }
+
+  /**
+   * Check whether fog of war currently affects rendering
+   */
+  isFogActive() {
+    return this.fogEnabled && this.viewerFaction !== null;
+  }
+
+  /**
+   * Enable or disable fog of war
+   * (setEnabled, from System, pauses the system itself: sight stops updating)
+   */
+  setFogEnabled(enabled) {
+    this.fogEnabled = enabled;
+  }
+
+  /**
+   * Set which faction's view is rendered (null shows everything)
+   */
+  setViewerFaction(faction) {
+    this.viewerFaction = faction;
+  }
+
+  /**
+   * Point the system at a different grid and recompute on next update
+   * Explored memory belonged to the old map and is dropped
+   */
+  setHexGrid(hexGrid) {
+    this.hexGrid = hexGrid;
+    this.resetMemory();
+  }
+
+  /**
+   * Forget what every faction has seen and explored (e.g. the map was regenerated)
+   * Sight is recomputed on next update
+   */
+  resetMemory() {
+    this.factions.clear();
+    this.lastSignature = null;
+  }
+
+  /**
+   * Serialize explored memory per faction
+   * Current sight is derived from unit positions, so it isn't stored
+   */
+  serialize() {
+    const explored = {};
+    this.factions.forEach((data, faction) => {
+      explored[faction] = Array.from(data.explored);
+    });
+
+    return { explored };
+  }
+
+  /**
+   * Restore explored memory; current sight is recomputed on next update
+   */
+  deserialize(data) {
+    this.factions.clear();
+
+    Object.entries(data.explored || {}).forEach(([faction, keys]) => {
+      this.getFactionData(faction).explored = new Set(keys);
+    });
+
+    this.lastSignature = null;
+  }
+}
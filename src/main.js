@@ -1,11 +1,20 @@
 import { HexEngine } from './engine/core/HexEngine.js';
-import { PositionComponent, RenderableComponent } from './engine/core/Components.js';
+import { MapEditor } from './editor/MapEditor.js';
+import { EntityManager } from './engine/core/EntityManager.js';
+import { DEFAULT_MAP_PARAMS } from './engine/core/MapGenerator.js';
+import {
+  PositionComponent,
+  RenderableComponent,
+  FactionComponent,
+  VisionComponent
+} from './engine/core/Components.js';
 
 /**
  * Main entry point for the Hex Game Engine
  */
 
 let engine = null;
+let mapEditor = null;
 
 async function init() {
   try {
@@ -21,7 +30,9 @@ async function init() {
       hexSize: 30,
       gridWidth: 15,
       gridHeight: 10,
-      backgroundColor: 0x1a1a1a
+      mapShape: 'rectangle',
+      backgroundColor: 0x1a1a1a,
+      maxPerHex: 1 // One unit per hex
     });
 
     await engine.initialize(container);
@@ -38,6 +49,10 @@ async function init() {
     // Setup unit spawning
     setupUnitSpawner(engine);
 
+    // Map editor (toggled from dev panel or M)
+    mapEditor = new MapEditor(engine);
+    populateTerrainSelect(engine.terrainRegistry);
+
     console.log('Engine started successfully!');
     console.log('Controls: Mouse drag to pan, scroll to zoom');
 
@@ -90,6 +105,22 @@ function setupControls() {
   document.addEventListener('keydown', (e) => {
     if (!engine) return;
 
+    // Don't steal keys from dev panel inputs
+    if (e.target.matches('input, textarea, select')) return;
+
+    // Editor undo/redo
+    if ((e.ctrlKey || e.metaKey) && mapEditor && mapEditor.active) {
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        editorUndo();
+      } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        editorRedo();
+      }
+      return;
+    }
+
     switch(e.key) {
       case 'F1':
         e.preventDefault();
@@ -116,10 +147,20 @@ function setupControls() {
         printPerf();
         break;
 
+      case 'n':
+      case 'N':
+        toggleMinimap();
+        break;
+
       case 'e':
       case 'E':
         exportState();
         break;
+
+      case 'm':
+      case 'M':
+        toggleMapEditor();
+        break;
     }
   });
 
@@ -130,8 +171,10 @@ function setupControls() {
   console.log('  F2 - Toggle dev panel');
   console.log('   D - Toggle detailed debug mode');
   console.log('   R - Reset viewport');
+  console.log('   N - Toggle minimap');
   console.log('   E - Export state');
   console.log('   P - Print performance report');
+  console.log('   M - Toggle map editor (Ctrl+Z / Ctrl+Y to undo/redo)');
   console.log('');
   console.log('=== Console Commands ===');
   console.log('  hexEngine.getState()      - Get current state object');
@@ -164,14 +207,18 @@ window.toggleDetail = function() {
 
 window.resetViewport = function() {
   if (engine) {
-    engine.viewportPos.x = engine.config.width / 2;
-    engine.viewportPos.y = engine.config.height / 2;
-    engine.scale = 1;
-    engine.updateViewportTransform();
+    engine.camera.fitToMap({ duration: 300 });
     console.log('Viewport reset');
   }
 };
 
+window.toggleMinimap = function() {
+  if (engine) {
+    const visible = engine.minimap.toggle();
+    console.log(`Minimap ${visible ? 'shown' : 'hidden'}`);
+  }
+};
+
 window.printPerf = function() {
   if (engine) {
     console.log('Performance Report:', engine.getPerformanceReport());
@@ -242,7 +289,8 @@ window.runPerfTest = async function(hexCount) {
   // Calculate grid size
   const gridSize = Math.ceil(Math.sqrt(hexCount));
 
-  // Temporarily update engine grid
+  // Temporarily swap in a test grid; the original is kept to put back afterwards
+  const originalGrid = engine.hexGrid;
   const originalWidth = engine.config.gridWidth;
   const originalHeight = engine.config.gridHeight;
 
@@ -250,20 +298,23 @@ window.runPerfTest = async function(hexCount) {
   engine.config.gridHeight = gridSize;
 
   // Recreate grid
-  engine.hexGrid = new (await import('./engine/core/HexGrid.js')).HexGrid({
+  engine.setHexGrid(new (await import('./engine/core/HexGrid.js')).HexGrid({
     size: engine.config.hexSize,
     width: gridSize,
-    height: gridSize
-  });
-  engine.hexGrid.render();
-
-  // Update viewport
-  engine.viewport.removeChildren();
-  engine.viewport.addChild(engine.hexGrid.container);
+    height: gridSize,
+    shape: engine.config.mapShape,
+    orientation: engine.config.orientation,
+    terrainRegistry: engine.terrainRegistry
+  }), { keepOld: true });
 
   const actualHexes = engine.hexGrid.getHexCount();
   addPerfResult(`Grid: ${gridSize}x${gridSize} = ${actualHexes} hexes`, 'info');
 
+  // Let one frame run so culling counts are current
+  await new Promise(resolve => requestAnimationFrame(resolve));
+  const { visibleHexes, visibleChunks, totalChunks } = engine.debugInfo;
+  addPerfResult(`Visible: ${visibleHexes} hexes, ${visibleChunks}/${totalChunks} chunks`, 'info');
+
   // Wait for frames to stabilize
   await new Promise(resolve => setTimeout(resolve, 1000));
 
@@ -278,6 +329,48 @@ window.runPerfTest = async function(hexCount) {
   // Restore original grid
   engine.config.gridWidth = originalWidth;
   engine.config.gridHeight = originalHeight;
+  engine.setHexGrid(originalGrid);
+};
+
+window.runQueryBenchmark = async function() {
+  addPerfResult('Query benchmark: query(Position, Renderable) per call', 'info');
+
+  for (const count of [100, 1000, 10000]) {
+    // Separate manager so the game's entities are untouched
+    const entityManager = new EntityManager();
+    for (let i = 0; i < count; i++) {
+      const components = [new PositionComponent(i % 50, Math.floor(i / 50)), new RenderableComponent(0xFFFFFF)];
+      if (i % 2 === 0) components.push(new FactionComponent('red'));
+      if (i % 3 === 0) components.push(new VisionComponent(UNIT_SIGHT_RADIUS));
+      entityManager.createEntity(components);
+    }
+
+    const iterations = Math.max(20, Math.floor(200000 / count));
+    const timeQuery = (run) => {
+      const start = performance.now();
+      for (let i = 0; i < iterations; i++) run(i);
+      return (performance.now() - start) / iterations;
+    };
+
+    const scanTime = timeQuery(() => entityManager.scan(PositionComponent, RenderableComponent));
+    entityManager.query(PositionComponent, RenderableComponent); // Build the cache
+    const cachedTime = timeQuery(() => entityManager.query(PositionComponent, RenderableComponent));
+    // The matches change every call (worst case for the cache): an entity
+    // loses its Renderable, then the next call gives it back
+    const churnTime = timeQuery(i => {
+      if (i % 2 === 0) entityManager.removeComponent((i % count) + 1, RenderableComponent);
+      else entityManager.addComponent(((i - 1) % count) + 1, new RenderableComponent(0xFFFFFF));
+      entityManager.query(PositionComponent, RenderableComponent);
+    });
+
+    addPerfResult(
+      `${count} entities: scan ${scanTime.toFixed(4)}ms, cached ${cachedTime.toFixed(4)}ms, after a change ${churnTime.toFixed(4)}ms`,
+      cachedTime < scanTime ? 'pass' : 'warn'
+    );
+
+    // Let the results render between sizes
+    await new Promise(resolve => requestAnimationFrame(resolve));
+  }
 };
 
 window.clearPerfResults = function() {
@@ -318,27 +411,61 @@ async function measureFPS(duration) {
 /**
  * Setup unit spawning system
  */
-let pendingUnitSpawn = null; // {shape, color}
+let pendingUnitSpawn = null; // {shape, color, faction}
+let selectedEntityId = null;
+const UNIT_MOVEMENT_BUDGET = 4; // Movement points for range preview
+const UNIT_SIGHT_RADIUS = 3; // Hexes a spawned unit can see
 
 function setupUnitSpawner(engine) {
-  // Set up hex click handler
-  engine.onHexClick = (hex) => {
+  engine.on('hexclick', ({ hex, entities }) => {
+    // Clicks paint terrain while the map editor is active
+    if (mapEditor && mapEditor.active) return;
+
     if (pendingUnitSpawn) {
-      const { shape, color } = pendingUnitSpawn;
+      const { shape, color, faction } = pendingUnitSpawn;
 
-      // Create entity with Position and Renderable components
+      // Stay in spawn mode so another hex can be picked
+      if (!engine.canPlaceEntity(hex)) {
+        console.log(`Can't spawn at (${hex.q}, ${hex.r}) - hex is full or impassable`);
+        return;
+      }
+
+      // Create entity with Position, Renderable, Faction and Vision components
       const entityId = engine.entityManager.createEntity([
         new PositionComponent(hex.q, hex.r),
-        new RenderableComponent(color, shape)
+        new RenderableComponent(color, shape),
+        new FactionComponent(faction),
+        new VisionComponent(UNIT_SIGHT_RADIUS)
       ]);
 
-      console.log(`Spawned ${shape} unit at (${hex.q}, ${hex.r}) - Entity ID: ${entityId}`);
+      console.log(`Spawned ${faction} ${shape} unit at (${hex.q}, ${hex.r}) - Entity ID: ${entityId}`);
 
       // Clear pending spawn
       pendingUnitSpawn = null;
       updateSpawnerUI(false);
+      return;
     }
-  };
+
+    // Otherwise select the unit on this hex (or clear selection)
+    const occupantId = entities.length > 0 ? entities[0] : null;
+    if (occupantId !== null && occupantId !== selectedEntityId) {
+      selectedEntityId = occupantId;
+      const reachable = engine.showMovementRange(occupantId, UNIT_MOVEMENT_BUDGET);
+      console.log(`Selected entity ${occupantId} - ${reachable.size - 1} reachable hexes`);
+    } else {
+      clearSelection();
+    }
+  });
+
+  // Right-click clears the selection
+  engine.on('hexrightclick', () => clearSelection());
+}
+
+function clearSelection() {
+  selectedEntityId = null;
+  if (engine) {
+    engine.clearMovementRange();
+  }
 }
 
 function updateSpawnerUI(active) {
@@ -349,10 +476,14 @@ function updateSpawnerUI(active) {
 }
 
 // Global function for HTML buttons
-window.spawnUnit = function(shape, color) {
+window.spawnUnit = function(shape, color, faction) {
   if (!engine) return;
+  if (mapEditor && mapEditor.active) {
+    console.log('Leave the map editor (M) to spawn units');
+    return;
+  }
 
-  pendingUnitSpawn = { shape, color };
+  pendingUnitSpawn = { shape, color, faction };
   updateSpawnerUI(true);
 
   const shapeNames = { circle: 'circle', square: 'square', triangle: 'triangle' };
@@ -366,10 +497,143 @@ window.clearAllUnits = function() {
   engine.entityManager.clear();
   pendingUnitSpawn = null;
   updateSpawnerUI(false);
+  clearSelection();
 
   console.log(`Cleared ${count} units`);
 };
 
+window.generateMap = function() {
+  if (!engine) return;
+
+  const seedInput = document.getElementById('map-seed');
+  const waterInput = document.getElementById('map-water');
+  const mountainInput = document.getElementById('map-mountains');
+
+  // Blank seed picks a random one
+  const seed = seedInput.value.trim() || String(Math.floor(Math.random() * 0x7FFFFFFF));
+  seedInput.value = seed;
+
+  // Empty or invalid fields fall back to the defaults; the inputs show what was used
+  const waterLevel = readFraction(waterInput, DEFAULT_MAP_PARAMS.waterLevel);
+  const mountainFrequency = readFraction(mountainInput, DEFAULT_MAP_PARAMS.mountainFrequency);
+
+  engine.regenerateMap({ seed, waterLevel, mountainFrequency });
+  clearSelection();
+};
+
+/**
+ * Read a 0..1 number from an input, clamped, or the fallback if it isn't a number
+ */
+function readFraction(input, fallback) {
+  const value = parseFloat(input.value);
+  const fraction = Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : fallback;
+  input.value = fraction;
+  return fraction;
+}
+
+window.toggleMapEditor = function() {
+  if (!mapEditor) return;
+
+  const active = mapEditor.toggle();
+  document.getElementById('toggle-editor').classList.toggle('active', active);
+  document.getElementById('map-editor').classList.toggle('active', active);
+
+  if (active) {
+    pendingUnitSpawn = null;
+    clearSelection();
+  }
+};
+
+window.setEditorTool = function(tool) {
+  if (!mapEditor) return;
+
+  mapEditor.setTool(tool);
+  document.querySelectorAll('[data-editor-tool]').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.editorTool === tool);
+  });
+};
+
+window.setEditorTerrain = function(terrainId) {
+  if (mapEditor) {
+    mapEditor.setTerrain(terrainId);
+  }
+};
+
+/**
+ * Pick the feature for the Sides/Corners tools ("edge:river", "vertex:tower")
+ * and switch to the matching tool
+ */
+window.setEditorFeature = function(value) {
+  if (!mapEditor) return;
+
+  const [kind, featureId] = value.split(':');
+  if (kind === 'edge') {
+    mapEditor.setEdgeFeature(featureId);
+  } else {
+    mapEditor.setVertexFeature(featureId);
+  }
+  window.setEditorTool(kind);
+};
+
+/**
+ * Fill the editor's terrain and feature dropdowns from the terrain registry
+ */
+function populateTerrainSelect(terrainRegistry) {
+  const terrainSelect = document.getElementById('editor-terrain');
+  if (terrainSelect) {
+    terrainSelect.innerHTML = '';
+    terrainRegistry.list().forEach(terrain => {
+      terrainSelect.appendChild(createOption(terrain.id, terrain.name));
+    });
+    terrainSelect.value = mapEditor.terrain;
+  }
+
+  const featureSelect = document.getElementById('editor-feature');
+  if (featureSelect) {
+    featureSelect.innerHTML = '';
+    terrainRegistry.listEdgeFeatures().forEach(feature => {
+      featureSelect.appendChild(createOption(`edge:${feature.id}`, `${feature.name} (side)`));
+    });
+    terrainRegistry.listVertexFeatures().forEach(feature => {
+      featureSelect.appendChild(createOption(`vertex:${feature.id}`, `${feature.name} (corner)`));
+    });
+    featureSelect.value = `edge:${mapEditor.edgeFeature}`;
+  }
+}
+
+function createOption(value, label) {
+  const option = document.createElement('option');
+  option.value = value;
+  option.textContent = label;
+  return option;
+}
+
+window.setEditorBrush = function(radius) {
+  if (mapEditor) {
+    mapEditor.setBrushRadius(parseInt(radius, 10) || 0);
+  }
+};
+
+window.editorUndo = function() {
+  if (mapEditor && !mapEditor.undo()) {
+    console.log('Nothing to undo');
+  }
+};
+
+window.editorRedo = function() {
+  if (mapEditor && !mapEditor.redo()) {
+    console.log('Nothing to redo');
+  }
+};
+
+window.setFogFaction = function(faction) {
+  if (!engine) return;
+
+  // Empty selection turns fog of war off
+  engine.setFogOfWar(Boolean(faction), faction || null);
+  console.log(faction ? `Fog of war: viewing as ${faction}` : 'Fog of war: off');
+};
+
 /**
  * Add helper methods to engine for console access
  */
@@ -377,8 +641,9 @@ function addConsoleHelpers(engine) {
   engine.getState = function() {
     return this.stateManager.captureState({
       hexGrid: this.hexGrid,
-      viewport: this.viewport,
-      entityManager: this.entityManager
+      viewport: this.getViewport(),
+      entityManager: this.entityManager,
+      visibilitySystem: this.visibilitySystem
     });
   };
 